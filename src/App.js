@@ -1,17 +1,31 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import { LineChart, Line, CartesianGrid, XAxis, YAxis, Tooltip as RechartsTooltip, ResponsiveContainer } from 'recharts';
-import { Plus, Minus, Info, Sun, Moon, Star } from 'lucide-react';
+import React, { useState, useMemo, useEffect, useRef, useCallback } from 'react';
+import { saveAs } from 'file-saver';
+import { LineChart, Line, CartesianGrid, XAxis, YAxis, Tooltip as RechartsTooltip, ResponsiveContainer, Legend, ReferenceLine } from 'recharts';
+import { Plus, Info, Sun, Moon, Star, X, Link, Download, Upload, FileDown } from 'lucide-react';
 import { CustomTooltip } from './components/CustomTooltip';
 import { currencies } from './common/currencies';
+import { compactAmount } from './common/format';
+import { BASELINE_ID, buildConfig, decodeConfig, emptyFees, encodeConfig, parseConfig } from './common/config';
+import { addPeriods, compoundingMap, dayCounts, freqMap, nextMonthISO, parseDate, periodicRate, rateForPeriod, simulateLoan, solveEmi, upfrontPrepayment } from './engine';
 import { Table } from './components/Table';
+import { ScenarioComparison } from './components/ScenarioComparison';
+import { PrepaymentPlan } from './components/PrepaymentPlan';
+import { RateTimeline } from './components/RateTimeline';
+import { SavedLoans } from './components/SavedLoans';
+import { DebtPlanner } from './components/DebtPlanner';
+import { InvestmentAnalysis } from './components/InvestmentAnalysis';
+import { LoanFees } from './components/LoanFees';
+import { PrepaymentBenefits } from './components/PrepaymentBenefits';
+import { buildReport, exportFormats, reportFileName, writeReport } from './export';
 
 function useLocalStorage(key, defaultValue) {
   const [value, setValue] = useState(() => {
+    const fallback = () => typeof defaultValue === 'function' ? defaultValue() : defaultValue;
     try {
       const stored = localStorage.getItem(key);
-      return stored !== null ? JSON.parse(stored) : defaultValue;
+      return stored !== null ? JSON.parse(stored) : fallback();
     } catch {
-      return defaultValue;
+      return fallback();
     }
   });
 
@@ -19,19 +33,68 @@ function useLocalStorage(key, defaultValue) {
   return [value, setValue];
 }
 
+const freqLabels = { weekly: 'Weekly', biweekly: 'Bi-weekly', monthly: 'Monthly', '6-months': 'Half-yearly', yearly: 'Yearly' };
+const periodUnits = { weekly: 'weeks', biweekly: 'bi-weekly periods', monthly: 'months', '6-months': 'half-year periods', yearly: 'years' };
+const scenarioColors = ['#6b7280', '#4f46e5', '#16a34a', '#ea580c', '#db2777', '#0891b2', '#ca8a04'];
+
+function readLegacy(key, fallback) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored !== null ? JSON.parse(stored) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+const newId = prefix => `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Scenarios saved before prepayment plans existed carry a single lump sum and recurring amount.
+function migrateScenario(scenario) {
+  if (Array.isArray(scenario.events)) return scenario;
+  const { oneTime, prepayment, ...rest } = scenario;
+  const events = [];
+  if (parseFloat(oneTime) > 0) events.push({ id: newId('event'), type: 'one-time', amount: parseFloat(oneTime), period: 0 });
+  if (parseFloat(prepayment) > 0) events.push({ id: newId('event'), type: 'recurring', amount: parseFloat(prepayment), freq: readLegacy('freq', 'monthly'), start: 1, end: '', stepUp: 0 });
+  return { ...rest, events };
+}
+
+// Seeds the scenario list from the single-schedule keys older versions stored.
+function defaultScenarios() {
+  const emi = readLegacy('emi', 33600);
+  const annualRate = readLegacy('annualRate', 8.2);
+  return [
+    { id: BASELINE_ID, name: 'No prepayment', emi, annualRate, events: [] },
+    migrateScenario({ id: 'plan-1', name: 'My plan', emi, annualRate, prepayment: readLegacy('prepayment', 0), oneTime: readLegacy('oneTime', 0) }),
+  ];
+}
+
+function formatPeriods(periods, freq) {
+  if (periods === 0) return '0';
+  if (freq === 'yearly') return `${periods} years`;
+  return `${periods} ${periodUnits[freq]} (${(periods / freqMap[freq]).toFixed(1)} years)`;
+}
+
 export default function LoanCalculator() {
   const [original, setOriginal] = useLocalStorage('original', 3200000);
   const [remaining, setRemaining] = useLocalStorage('remaining', 2945000);
-  const [emi, setEmi] = useLocalStorage('emi', 33600);
-  const [annualRate, setAnnualRate] = useLocalStorage('annualRate', 8.2);
-  const [prepayment, setPrepayment] = useLocalStorage('prepayment', 0);
-  const [oneTime, setOneTime] = useLocalStorage('oneTime', 0);
-  const [freq, setFreq] = useLocalStorage('freq', 'monthly');
+  const [storedScenarios, setStoredScenarios] = useLocalStorage('scenarios', defaultScenarios);
+  const [activeId, setActiveId] = useLocalStorage('activeScenario', 'plan-1');
+  const [emiFreq, setEmiFreq] = useLocalStorage('emiFreq', 'monthly');
+  const [compounding, setCompounding] = useLocalStorage('compounding', 'per-payment');
+  const [startDate, setStartDate] = useLocalStorage('startDate', nextMonthISO);
+  const [dayCount, setDayCount] = useLocalStorage('dayCount', 'periodic');
   const [currency, setCurrency] = useLocalStorage('currency', 'INR');
+  const [fees, setFees] = useLocalStorage('fees', emptyFees);
   const [darkMode, setDarkMode] = useLocalStorage('darkMode', false);
   const [showTable, setShowTable] = useLocalStorage('showTable', true);
+  const [savedLoans, setSavedLoans] = useLocalStorage('savedLoans', []);
+  const [loanName, setLoanName] = useLocalStorage('loanName', 'Home loan');
+  const [planner, setPlanner] = useLocalStorage('planner', { budget: 10000, strategy: 'avalanche', priority: [] });
+  const [investment, setInvestment] = useLocalStorage('investment', { expectedReturn: 10, inflation: 5, returnTax: 12.5, deductions: false, taxRate: 30, interestCap: 200000, principalCap: 150000, taxYearStart: 4 });
   const [emiModalOpen, setEmiModalOpen] = useState(false);
   const [modalTenure, setModalTenure] = useState(1);
+  const [configMessage, setConfigMessage] = useState(null);
+  const importInput = useRef(null);
 
   useEffect(() => { document.documentElement.classList.toggle('dark', darkMode); }, [darkMode]);
   useEffect(() => {
@@ -42,79 +105,178 @@ export default function LoanCalculator() {
     }
   }, []);
 
-  const freqMap = { weekly: 52, biweekly: 26, monthly: 12, '6-months': 2, yearly: 1 };
-  const periodsPerYear = freqMap[freq];
+  const applyConfig = useCallback(({ loan, scenarios, activeScenario }) => {
+    setOriginal(loan.original);
+    setRemaining(loan.remaining);
+    setEmiFreq(loan.emiFreq);
+    setCompounding(loan.compounding);
+    setStartDate(loan.startDate);
+    setDayCount(loan.dayCount);
+    setCurrency(loan.currency);
+    setFees(loan.fees);
+    setStoredScenarios(scenarios);
+    setActiveId(activeScenario);
+  }, [setOriginal, setRemaining, setEmiFreq, setCompounding, setStartDate, setDayCount, setCurrency, setFees, setStoredScenarios, setActiveId]);
+
+  // A shared link carries the whole configuration in the hash; it wins over what this browser had saved.
+  // Links pasted into an open tab only change the hash, so those are picked up as well.
+  useEffect(() => {
+    const loadSharedLink = () => {
+      const match = window.location.hash.match(/^#config=(.+)$/);
+      if (!match) return;
+      try {
+        applyConfig(decodeConfig(match[1]));
+        setConfigMessage({ type: 'info', text: 'Loaded the shared scenario from the link.' });
+      } catch (e) {
+        setConfigMessage({ type: 'error', text: `Could not load the shared link: ${e.message}` });
+      }
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    };
+    loadSharedLink();
+    window.addEventListener('hashchange', loadSharedLink);
+    return () => window.removeEventListener('hashchange', loadSharedLink);
+  }, [applyConfig]);
+
+  const scenarios = useMemo(() => storedScenarios.map(migrateScenario), [storedScenarios]);
+  const setScenarios = update => setStoredScenarios(list => update(list.map(migrateScenario)));
+  const active = scenarios.find(s => s.id === activeId) || scenarios[0];
+  const isBaseline = active.id === BASELINE_ID;
+  const { emi, annualRate, events } = active;
+  const setField = key => value => setScenarios(list => list.map(s => s.id === active.id ? { ...s, [key]: typeof value === 'function' ? value(s[key]) : value } : s));
+  const setEmi = setField('emi');
+  const setAnnualRate = setField('annualRate');
+  const setEvents = setField('events');
+  const setPrepayMode = setField('prepayMode');
+  const setRateChanges = setField('rateChanges');
+  const setResetPolicy = setField('resetPolicy');
+  const setName = setField('name');
+
+  const addScenario = () => {
+    const id = newId('plan');
+    setScenarios(list => [...list, { ...active, id, name: `Scenario ${list.length}` }]);
+    setActiveId(id);
+  };
+  const removeScenario = id => {
+    setScenarios(list => list.filter(s => s.id !== id));
+    if (id === active.id) setActiveId(BASELINE_ID);
+  };
 
   const currencyInfo = useMemo(
     () => currencies.find(c => c.code === currency) || { code: currency, locale: 'en-US' },
     [currency]
   );
 
-  const scheduleData = useMemo(() => {
-    let balance = Math.max(0, parseFloat(remaining) - parseFloat(oneTime));
-    const ratePerPeriod = annualRate / 100 / periodsPerYear;
-    const data = [];
-    let period = 0;
-    let cumInterest = 0;
-    const emiNum = parseFloat(emi) || 0;
-    const prepaymentPerPeriod = parseFloat(prepayment) || 0;
-    const paymentBase = emiNum * 12 / periodsPerYear;
-    const periodCap = 500;
-
-    while (balance > 0 && period < periodCap) {
-      period++;
-      const interest = balance * ratePerPeriod;
-      let payment = paymentBase + prepaymentPerPeriod;
-      if (payment > balance + interest) payment = balance + interest;
-      const principalPaid = payment - interest;
-      balance -= principalPaid;
-      cumInterest += interest;
-      data.push({ period, interest: +interest.toFixed(2), cumInterest: +cumInterest.toFixed(2), balance: +Math.max(0, balance).toFixed(2) });
-      if (balance <= 0) break;
+  const results = useMemo(() => scenarios.map(scenario => ({
+    scenario,
+    ...simulateLoan({ ...scenario, original, remaining, startDate, dayCount, freq: emiFreq, compounding, fees }),
+  })), [scenarios, original, remaining, startDate, dayCount, emiFreq, compounding, fees]);
+
+  const activeResult = results.find(r => r.scenario.id === active.id);
+  const modeComparison = useMemo(() => ['tenure', 'emi'].map(mode => {
+    const { summary } = simulateLoan({ ...active, prepayMode: mode, original, remaining, startDate, dayCount, freq: emiFreq, compounding, fees });
+    return { mode, ...summary };
+  }), [active, original, remaining, startDate, dayCount, emiFreq, compounding, fees]);
+  const scheduleData = activeResult.rows;
+  const activeLoan = useMemo(() => ({ ...active, original, remaining, startDate, dayCount, freq: emiFreq, compounding, fees }), [active, original, remaining, startDate, dayCount, emiFreq, compounding, fees]);
+
+  const chartData = useMemo(() => {
+    const length = Math.max(0, ...results.map(r => r.rows.length));
+    return Array.from({ length }, (_, i) => results.reduce((point, r) => {
+      if (r.rows[i]) point[r.scenario.id] = r.rows[i].balance;
+      return point;
+    }, { period: i + 1 }));
+  }, [results]);
+
+  const { payoffPeriods, totalInterest, totalFees, totalCost, apr } = activeResult.summary;
+
+  const calculateEmi = (principal, rate, years) => +solveEmi({ principal, annualRate: rate, periods: years * freqMap[emiFreq], freq: emiFreq, compounding }).toFixed(2);
+
+  const initialBalance = Math.max(0, (parseFloat(remaining) || 0) - upfrontPrepayment(events));
+  const interestPerPeriod = initialBalance * periodicRate(rateForPeriod(active.rateChanges, annualRate, 1), emiFreq, compounding);
+  const emiTooLow = parseFloat(emi) < interestPerPeriod;
+  const resetWarnings = scheduleData.filter(r => r.reset && r.emi <= r.interest);
+
+  const fractionDigits = ['JPY', 'KRW', 'VND'].includes(currency) ? 0 : 2;
+  const fmt = val => new Intl.NumberFormat(currencyInfo.locale, { style: 'currency', currency, maximumFractionDigits: fractionDigits }).format(val);
+
+  const exportReport = async format => {
+    try {
+      const report = buildReport({
+        loanName: loanName.trim(),
+        loan: { original, remaining, emiFreq, compounding, startDate, dayCount, currency, fees },
+        scenario: active,
+        result: activeResult,
+        baseline: results.find(r => r.scenario.id === BASELINE_ID),
+        money: val => new Intl.NumberFormat(currencyInfo.locale, { style: 'currency', currency, currencyDisplay: 'code', maximumFractionDigits: fractionDigits }).format(val),
+      });
+      saveAs(await writeReport(report, format, { locale: currencyInfo.locale, fractionDigits }), reportFileName(report, format));
+    } catch (e) {
+      setConfigMessage({ type: 'error', text: `Could not export the ${exportFormats[format]}: ${e.message}` });
+    }
+  };
+
+  const fmtDate = date => (typeof date === 'string' ? parseDate(date) : date).toLocaleDateString(currencyInfo.locale, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+  const dateOfPeriod = period => fmtDate(addPeriods(parseDate(startDate) || parseDate(nextMonthISO()), period - 1, emiFreq));
+  const getPayoffTimeText = () => formatPeriods(payoffPeriods, emiFreq);
+
+  const currentConfig = () => parseConfig(buildConfig({ original, remaining, emiFreq, compounding, startDate, dayCount, currency, fees, scenarios, activeScenario: active.id }));
+
+  const copyShareLink = async () => {
+    try {
+      const url = `${window.location.origin}${window.location.pathname}#config=${encodeConfig(currentConfig())}`;
+      await navigator.clipboard.writeText(url);
+      setConfigMessage({ type: 'info', text: 'Share link copied to the clipboard.' });
+    } catch (e) {
+      setConfigMessage({ type: 'error', text: `Could not create a share link: ${e.message}` });
     }
-    return data;
-  }, [remaining, oneTime, emi, annualRate, prepayment, freq, periodsPerYear]);
-
-  const payoffPeriods = scheduleData.length;
-  const totalInterest = scheduleData.reduce((sum, r) => sum + r.interest, 0).toFixed(2);
-
-  const calculateEmi = (principal, rate, years) => {
-    const P = principal;
-    const monthlyRate = rate / 100 / 12;
-    const n = years * 12;
-    if (n === 0) return 0;
-    if (monthlyRate === 0) return +(P / n).toFixed(2);
-    const factor = Math.pow(1 + monthlyRate, n);
-    return +((P * monthlyRate * factor) / (factor - 1)).toFixed(2);
   };
 
-  const initialBalance = Math.max(0, parseFloat(remaining) - parseFloat(oneTime));
-  const interestMonthly = initialBalance * (annualRate / 100 / 12);
-  const emiTooLow = parseFloat(emi) < interestMonthly;
+  const exportConfig = () => {
+    try {
+      const blob = new Blob([JSON.stringify(currentConfig(), null, 2)], { type: 'application/json;charset=utf-8' });
+      saveAs(blob, 'loan-configuration.json');
+    } catch (e) {
+      setConfigMessage({ type: 'error', text: `Could not export: ${e.message}` });
+    }
+  };
 
-  const fmt = val => new Intl.NumberFormat(currencyInfo.locale, { style: 'currency', currency, maximumFractionDigits: ['JPY', 'KRW', 'VND'].includes(currency) ? 0 : 2 }).format(val);
-  const fmtNum = val => new Intl.NumberFormat(currencyInfo.locale, { maximumFractionDigits: 2 }).format(val);
+  const importConfig = async e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      applyConfig(parseConfig(await file.text()));
+      setConfigMessage({ type: 'info', text: `Imported ${file.name}.` });
+    } catch (err) {
+      setConfigMessage({ type: 'error', text: `Could not import ${file.name}: ${err.message}` });
+    }
+  };
 
-  const exportCSV = () => {
-    const header = ['Period', 'Interest', 'CumulativeInterest', 'Balance'];
-    const rows = scheduleData.map(r => [r.period, r.interest, r.cumInterest, r.balance]);
-    const csv = [header, ...rows].map(r => r.join(',')).join('\n');
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a'); link.href = URL.createObjectURL(blob); link.download = 'amortization.csv'; link.click();
+  // Saved loans are configuration snapshots, validated again on load like an imported file.
+  const saveLoan = () => {
+    const name = loanName.trim();
+    try {
+      const config = currentConfig();
+      setSavedLoans(list => list.some(l => l.name === name) ? list.map(l => l.name === name ? { ...l, config } : l) : [...list, { id: newId('loan'), name, config }]);
+      setConfigMessage({ type: 'info', text: `Saved ${name}.` });
+    } catch (e) {
+      setConfigMessage({ type: 'error', text: `Could not save ${name}: ${e.message}` });
+    }
   };
 
-  const getPayoffTimeText = () => {
-    if (payoffPeriods === 0) return '0';
-    switch (freq) {
-      case 'weekly': return `${payoffPeriods} weeks (${(payoffPeriods / 52).toFixed(1)} years)`;
-      case 'biweekly': return `${payoffPeriods} bi-weekly periods (${(payoffPeriods / 26).toFixed(1)} years)`;
-      case 'monthly': return `${payoffPeriods} months (${(payoffPeriods / 12).toFixed(1)} years)`;
-      case '6-months': return `${payoffPeriods} half-year periods (${(payoffPeriods / 2).toFixed(1)} years)`;
-      case 'yearly': return `${payoffPeriods} years`;
-      default: return fmtNum(payoffPeriods);
+  const loadLoan = id => {
+    const loan = savedLoans.find(l => l.id === id);
+    try {
+      applyConfig(parseConfig(loan.config));
+      setLoanName(loan.name);
+      setConfigMessage({ type: 'info', text: `Loaded ${loan.name}.` });
+    } catch (e) {
+      setConfigMessage({ type: 'error', text: `Could not load ${loan.name}: ${e.message}` });
     }
   };
 
+  const deleteLoan = id => setSavedLoans(list => list.filter(l => l.id !== id));
+
   const handleNumericInput = (value, setter, min = 0, max = Infinity) => {
     if (value === '') { setter(''); return; }
     const parsed = parseFloat(value);
@@ -139,6 +301,16 @@ export default function LoanCalculator() {
 
         <div className={`p-6 shadow-lg rounded-2xl transition-colors ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
           <h2 className="text-2xl font-bold mb-6 text-center">Loan Payoff Simulator</h2>
+          <SavedLoans darkMode={darkMode} loans={savedLoans} name={loanName} onNameChange={setLoanName} onSave={saveLoan} onLoad={loadLoan} onDelete={deleteLoan} />
+          <div className="flex flex-wrap items-center gap-2 mb-6">
+            {scenarios.map((s, i) => (
+              <div key={s.id} className={`flex items-center rounded-full border transition-colors ${s.id === active.id ? 'bg-indigo-600 border-indigo-600 text-white' : darkMode ? 'border-gray-600 hover:bg-gray-700' : 'border-gray-300 hover:bg-gray-100'}`}>
+                <button onClick={() => setActiveId(s.id)} className="flex items-center px-4 py-1"><span className="w-2 h-2 mr-2 rounded-full" style={{ backgroundColor: scenarioColors[i % scenarioColors.length] }} />{s.name}</button>
+                {s.id !== BASELINE_ID && <button onClick={() => removeScenario(s.id)} className="pr-3" aria-label={`Remove ${s.name}`}><X className="w-4 h-4" /></button>}
+              </div>
+            ))}
+            <button onClick={addScenario} className={`flex items-center px-4 py-1 rounded-full ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}><Plus className="w-4 h-4 mr-1" />Add scenario</button>
+          </div>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
               <label className="block font-medium mb-1 flex items-center">Original Loan Amount<CustomTooltip content="The initial principal borrowed"><Info className={`ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></label>
@@ -151,15 +323,14 @@ export default function LoanCalculator() {
               <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">{fmt(remaining)}</div>
             </div>
             <div className="md:col-span-2">
-              <label className="block font-medium mb-1 flex items-center">One‑Time Prepayment<CustomTooltip content="Lump-sum reduce principal"><Info className={`ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></label>
-              <input type="number" className={`w-full p-3 border rounded-lg transition-colors ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`} value={oneTime} onChange={e => handleNumericInput(e.target.value, setOneTime, 0, remaining)} />
-              <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">Will reduce balance by {fmt(Math.min(oneTime, remaining))}</div>
+              <label className="block font-medium mb-1 flex items-center">Scenario Name<CustomTooltip content="Label used in the chart and comparison"><Info className={`ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></label>
+              <input type="text" className={`w-full p-3 border rounded-lg transition-colors ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`} value={active.name} onChange={e => setName(e.target.value)} />
             </div>
             <div>
-              <label className="block font-medium mb-1 flex items-center">Monthly EMI<CustomTooltip content="Equated Monthly Installment"><Info className={`ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></label>
+              <label className="block font-medium mb-1 flex items-center">{freqLabels[emiFreq]} EMI<CustomTooltip content="Equated installment paid on every due date"><Info className={`ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></label>
               <input type="number" className={`w-full p-3 border rounded-lg transition-colors ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`} value={emi} onChange={e => handleNumericInput(e.target.value, setEmi)} />
               <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">{fmt(emi)}</div>{emiTooLow && <div className="text-red-500 mt-2">EMI too low; balance grows</div>}
-              <button onClick={() => setEmiModalOpen(true)} className="mt-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Calculate Monthly EMI</button>
+              <button onClick={() => setEmiModalOpen(true)} className="mt-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Calculate {freqLabels[emiFreq]} EMI</button>
             </div>
             <div>
               <label className="block font-medium mb-1 flex items-center">Interest Rate (% p.a.)<CustomTooltip content="Annual interest rate"><Info className={`ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></label>
@@ -168,23 +339,66 @@ export default function LoanCalculator() {
                 <input type="number" step="0.01" min="0" max="100" value={annualRate} onChange={e => setAnnualRate(+e.target.value)} className={`w-20 p-2 border rounded-lg ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`} />
               </div>
             </div>
-            <div>
-              <label className="block font-medium mb-1 flex items-center">Recurring Pre-Payment<CustomTooltip content="Additional payment each period"><Info className={`ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></label>
-              <div className="flex mt-1">
-                <button onClick={() => setPrepayment(p => Math.max(0, p - 2000))} className={`p-2 rounded-l-lg ${darkMode ? 'bg-blue-800' : 'bg-blue-100'}`}><Minus className="w-4 h-4" /></button>
-                <input type="number" step="1000" className={`w-full text-center p-3 border-t border-b ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`} value={prepayment} onChange={e => handleNumericInput(e.target.value, setPrepayment, 0, remaining)} />
-                <button onClick={() => setPrepayment(p => Math.min(remaining, p + 2000))} className={`p-2 rounded-r-lg ${darkMode ? 'bg-blue-800' : 'bg-blue-100'}`}><Plus className="w-4 h-4" /></button>
+            <div className="md:col-span-2">
+              <label className="block font-medium mb-1 flex items-center">Rate Timeline<CustomTooltip content="Floating-rate resets: from the given period the new annual rate applies"><Info className={`ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></label>
+              <RateTimeline darkMode={darkMode} rateChanges={active.rateChanges || []} onChange={setRateChanges} resetPolicy={active.resetPolicy || 'keep-emi'} onPolicyChange={setResetPolicy} baseRate={annualRate} unit={periodUnits[emiFreq]} dateOf={dateOfPeriod} />
+              {resetWarnings.map(r => <div key={r.period} className="text-red-500 mt-2">Reset to {r.rate}% in period {r.period}: EMI no longer covers interest; balance grows</div>)}
+            </div>
+            <div className="md:col-span-2 grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block font-medium mb-1 flex items-center">EMI Frequency<CustomTooltip content="How often installments fall due; schedule periods count in this unit. Each prepayment keeps its own frequency."><Info className={`ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></label>
+                <select value={emiFreq} onChange={e => setEmiFreq(e.target.value)} className={`w-full mt-1 p-3 border rounded-lg ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`}>{Object.keys(freqMap).map(v => <option key={v} value={v}>{v}</option>)}</select>
+              </div>
+              <div>
+                <label className="block font-medium mb-1 flex items-center">Next EMI Date<CustomTooltip content="Due date of the next installment; period 1 of the schedule"><Info className={`ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></label>
+                <input type="date" value={startDate} onChange={e => e.target.value && setStartDate(e.target.value)} className={`w-full mt-1 p-3 border rounded-lg ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`} />
+              </div>
+              <div>
+                <label className="block font-medium mb-1 flex items-center">Interest Day Count<CustomTooltip content="How interest is accrued between due dates. Match your lender's statement to reconcile the numbers."><Info className={`ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></label>
+                <select value={dayCount} onChange={e => setDayCount(e.target.value)} className={`w-full mt-1 p-3 border rounded-lg ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`}>{Object.entries(dayCounts).map(([v, label]) => <option key={v} value={v}>{label}</option>)}</select>
+              </div>
+              <div>
+                <label className="block font-medium mb-1 flex items-center">Interest Compounding<CustomTooltip content="How often interest is compounded, independent of the EMI frequency (e.g. semi-annual for Canadian mortgages)"><Info className={`ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></label>
+                <select value={compounding} onChange={e => setCompounding(e.target.value)} className={`w-full mt-1 p-3 border rounded-lg ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`}>{Object.keys(compoundingMap).map(v => <option key={v} value={v}>{v === 'per-payment' ? 'with each EMI' : v}</option>)}</select>
               </div>
-              <select value={freq} onChange={e => setFreq(e.target.value)} className={`w-full mt-2 p-3 border rounded-lg ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`}>{['weekly', 'biweekly', 'monthly', '6-months', 'yearly'].map(v => <option key={v} value={v}>{v}</option>)}</select>
-              <div className="text-sm mt-1">{fmt(prepayment)} every {freq}</div>
             </div>
+            <div className="md:col-span-2">
+              <label className="block font-medium mb-1 flex items-center">Prepayment Plan<CustomTooltip content="One-off lump sums, recurring extras with step-ups, and pauses. Period 0 is paid before the first installment."><Info className={`ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></label>
+              {!isBaseline && <div className="flex mb-3">{[['tenure', 'Reduce tenure'], ['emi', 'Reduce EMI']].map(([mode, label], i) => <button key={mode} onClick={() => setPrepayMode(mode)} className={`flex-1 px-4 py-2 ${i === 0 ? 'rounded-l-lg' : 'rounded-r-lg'} ${(active.prepayMode || 'tenure') === mode ? 'bg-indigo-600 text-white' : darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>{label}</button>)}</div>}
+              {isBaseline ? <div className="text-sm text-gray-500 dark:text-gray-400">The baseline never prepays</div> : <PrepaymentPlan darkMode={darkMode} events={events} onChange={setEvents} fmt={fmt} unit={periodUnits[emiFreq]} dateOf={dateOfPeriod} />}
+            </div>
+            <div className="md:col-span-2">
+              <label className="block font-medium mb-1 flex items-center">Fees &amp; Charges<CustomTooltip content="Processing fees, recurring charges such as insurance, and penalties on prepayments, e.g. 2% during a lock-in. They count toward the true cost and APR but never reduce the balance."><Info className={`ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></label>
+              <LoanFees darkMode={darkMode} fees={fees} onChange={setFees} fmt={fmt} unit={periodUnits[emiFreq]} dateOf={dateOfPeriod} />
+            </div>
+          </div>
+          <div className={`mt-6 p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>Payoff time: <strong>{getPayoffTimeText()}</strong><br />Loan closes on: <strong>{fmtDate(activeResult.summary.payoffDate)}</strong><br />Total interest: <strong>{fmt(totalInterest)}</strong>
+            {totalFees > 0 && <><br />Fees &amp; charges: <strong>{fmt(totalFees)}</strong><br />True cost (interest + fees): <strong>{fmt(totalCost)}</strong></>}
+            {apr !== null && <><br />Effective APR: <strong>{apr.toFixed(2)}%</strong><CustomTooltip content="The annual rate at which everything you pay, fees included, repays what you actually received after upfront costs"><Info className={`inline ml-1 w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} /></CustomTooltip></>}
+            {!isBaseline && events.length > 0 && <div className="grid grid-cols-3 gap-2 mt-4 text-sm">
+              <span /><strong>Reduce tenure</strong><strong>Reduce EMI</strong>
+              <span>Total interest</span>{modeComparison.map(m => <span key={m.mode}>{fmt(m.totalInterest)}</span>)}
+              {totalFees > 0 && <><span>True cost</span>{modeComparison.map(m => <span key={m.mode}>{fmt(m.totalCost)}</span>)}</>}
+              <span>Final EMI</span>{modeComparison.map(m => <span key={m.mode}>{fmt(m.finalEmi)}</span>)}
+              <span>Payoff time</span>{modeComparison.map(m => <span key={m.mode}>{formatPeriods(m.payoffPeriods, emiFreq)}</span>)}
+            </div>}
           </div>
-          <div className={`mt-6 p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>Payoff time: <strong>{getPayoffTimeText()}</strong><br />Total interest: <strong>{fmt(totalInterest)}</strong></div>
-          <div className="mt-6 mb-4" style={{ height: 300 }}><ResponsiveContainer width="100%" height="100%"><LineChart data={scheduleData}><CartesianGrid strokeDasharray="3 3" stroke={darkMode ? '#555' : '#ccc'} /><XAxis dataKey="period" label={{ value: `Period (${freq})`, position: 'insideBottom', offset: -5 }} stroke={darkMode ? '#aaa' : '#666'} /><YAxis label={{ value: `Balance (${currency})`, angle: -90, position: 'insideLeft' }} stroke={darkMode ? '#aaa' : '#666'} tickFormatter={val => { const a = Math.abs(val); if (a >= 1e6) return (val / 1e6).toFixed(1) + 'M'; if (a >= 1e3) return (val / 1e3).toFixed(0) + 'K'; return val }} /><RechartsTooltip formatter={val => fmt(val)} contentStyle={{ backgroundColor: darkMode ? '#333' : '#fff', borderColor: darkMode ? '#555' : '#ccc', color: darkMode ? '#eee' : '#333' }} /><Line type="monotone" dataKey="balance" stroke="#4f46e5" strokeWidth={2} /></LineChart></ResponsiveContainer></div>
+          <div className="mt-6 mb-4" style={{ height: 300 }}><ResponsiveContainer width="100%" height="100%"><LineChart data={chartData}><CartesianGrid strokeDasharray="3 3" stroke={darkMode ? '#555' : '#ccc'} /><XAxis dataKey="period" label={{ value: `Period (${emiFreq})`, position: 'insideBottom', offset: -5 }} stroke={darkMode ? '#aaa' : '#666'} /><YAxis label={{ value: `Balance (${currency})`, angle: -90, position: 'insideLeft' }} stroke={darkMode ? '#aaa' : '#666'} tickFormatter={compactAmount} /><RechartsTooltip formatter={val => fmt(val)} labelFormatter={period => `Period ${period} · ${dateOfPeriod(period)}`} contentStyle={{ backgroundColor: darkMode ? '#333' : '#fff', borderColor: darkMode ? '#555' : '#ccc', color: darkMode ? '#eee' : '#333' }} /><Legend verticalAlign="top" />{scheduleData.filter(r => r.reset).map(r => <ReferenceLine key={r.period} x={r.period} stroke="#f59e0b" strokeDasharray="3 3" label={{ value: `${r.rate}%`, position: 'top', fill: darkMode ? '#fbbf24' : '#b45309', fontSize: 11 }} />)}{scenarios.map((s, i) => <Line key={s.id} type="monotone" dataKey={s.id} name={s.name} stroke={scenarioColors[i % scenarioColors.length]} strokeWidth={s.id === active.id ? 3 : 2} strokeDasharray={s.id === BASELINE_ID ? '5 5' : undefined} dot={false} />)}</LineChart></ResponsiveContainer></div>
+          <ScenarioComparison darkMode={darkMode} results={results} baselineId={BASELINE_ID} fmt={fmt} fmtDate={fmtDate} unit={periodUnits[emiFreq]} />
+          {!isBaseline && events.length > 0 && <PrepaymentBenefits darkMode={darkMode} loan={activeLoan} fmt={fmt} />}
+          {!isBaseline && events.length > 0 && <InvestmentAnalysis darkMode={darkMode} loan={activeLoan} settings={investment} onChange={setInvestment} fmt={fmt} currency={currency} unit={emiFreq} dateOf={dateOfPeriod} />}
           <div className="flex justify-center mb-4"><button onClick={() => setShowTable(s => !s)} className="px-6 py-2 bg-indigo-600 text-white rounded-full hover:bg-indigo-700">{showTable ? 'Hide' : 'Show'} Table</button></div>
-          {showTable && <Table darkMode={darkMode} scheduleData={scheduleData} fmt={fmt} />}
-          <div className="flex mt-4"><button onClick={exportCSV} className="w-full px-4 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700">Export to CSV</button></div>
+          {showTable && <Table darkMode={darkMode} scheduleData={scheduleData} fmt={fmt} fmtDate={fmtDate} />}
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mt-4">{Object.entries(exportFormats).map(([format, label]) => <button key={format} onClick={() => exportReport(format)} className="flex items-center justify-center px-4 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700"><FileDown className="w-4 h-4 mr-2" />Export {label}</button>)}</div>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mt-2">
+            <button onClick={copyShareLink} className={`flex items-center justify-center px-4 py-2 rounded-lg ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}><Link className="w-4 h-4 mr-2" />Copy share link</button>
+            <button onClick={exportConfig} className={`flex items-center justify-center px-4 py-2 rounded-lg ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}><Download className="w-4 h-4 mr-2" />Export configuration</button>
+            <button onClick={() => importInput.current.click()} className={`flex items-center justify-center px-4 py-2 rounded-lg ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}><Upload className="w-4 h-4 mr-2" />Import configuration</button>
+            <input ref={importInput} type="file" accept="application/json,.json" onChange={importConfig} className="hidden" data-testid="import-config" />
+          </div>
+          {configMessage && <div className={`flex justify-between items-center mt-2 p-3 rounded-lg text-sm ${configMessage.type === 'error' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}><span>{configMessage.text}</span><button onClick={() => setConfigMessage(null)} aria-label="Dismiss"><X className="w-4 h-4" /></button></div>}
         </div>
+        <DebtPlanner darkMode={darkMode} savedLoans={savedLoans} settings={planner} onChange={setPlanner} fmt={fmt} fmtDate={fmtDate} currency={currency} />
         {emiModalOpen && <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center"><div className={`bg-white dark:bg-gray-800 rounded-2xl p-6 w-full max-w-md`}><h3 className="text-xl font-bold mb-4 text-gray-900 dark:text-gray-100">Calculate EMI</h3><div className="mb-4"><label className="block mb-1">Original Amount</label><input type="number" value={original} readOnly className="w-full p-3 border rounded-lg" /></div><div className="mb-4"><label className="block mb-1">Interest Rate</label><input type="number" value={annualRate} readOnly className="w-full p-3 border rounded-lg" /></div><div className="mb-4"><label className="block mb-1">Tenure: {modalTenure} yrs</label><input type="range" min="1" max="35" value={modalTenure} onChange={e => setModalTenure(+e.target.value)} className="w-full" /></div><div className="flex justify-end gap-4"><button onClick={() => setEmiModalOpen(false)} className="px-4 py-2 bg-gray-300 rounded-lg">Cancel</button><button onClick={() => { setEmi(calculateEmi(original, annualRate, modalTenure)); setEmiModalOpen(false); }} className="px-4 py-2 bg-green-600 text-white rounded-lg">Calculate</button></div></div></div>}
         <footer className="mt-8 text-center text-sm text-gray-500 dark:text-gray-400">Made with <span className="text-red-500">&hearts;</span> by <a href="https://github.com/SuharshTyagii">Suharsh Tyagi</a></footer>
       </div>
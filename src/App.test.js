@@ -1,8 +1,39 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
+import { buildConfig, emptyFees, encodeConfig } from './common/config';
 
-test('renders learn react link', () => {
+test('renders the simulator with a baseline comparison', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: /loan payoff simulator/i })).toBeInTheDocument();
+  expect(screen.getByText(/scenario comparison vs\. no prepayment/i)).toBeInTheDocument();
+});
+
+test('loads a shared link pasted into an open tab', () => {
+  render(<App />);
+  const config = buildConfig({
+    original: 900000, remaining: 800000, emiFreq: 'monthly', compounding: 'per-payment', startDate: '2025-01-05', dayCount: 'periodic', currency: 'INR', fees: emptyFees,
+    scenarios: [{ id: 'baseline', name: 'No prepayment', emi: 12000, annualRate: 9, events: [] }, { id: 'shared', name: 'Shared plan', emi: 12000, annualRate: 9, events: [] }],
+    activeScenario: 'shared',
+  });
+  act(() => {
+    window.location.hash = `config=${encodeConfig(config)}`;
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+  });
+  expect(screen.getByText('Loaded the shared scenario from the link.')).toBeInTheDocument();
+  expect(screen.getAllByText('Shared plan').length).toBeGreaterThan(0);
+  expect(window.location.hash).toBe('');
+});
+
+test('settles periods left out of order so the plan can still be saved', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'recurring' }));
+  // The new prepayment is the last entry with a period window; the loan has no fees yet.
+  const from = screen.getAllByLabelText('From period').at(-1);
+  const to = screen.getAllByLabelText('To period').at(-1);
+  fireEvent.change(to, { target: { value: '12' } });
+  fireEvent.change(from, { target: { value: '30' } });
+  fireEvent.blur(from);
+  expect(to).toHaveValue(30);
+  fireEvent.click(screen.getByRole('button', { name: /save loan/i }));
+  expect(screen.getByText('Saved Home loan.')).toBeInTheDocument();
 });
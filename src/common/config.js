@@ -0,0 +1,188 @@
+import { currencies } from './currencies';
+import { compoundingMap, dayCounts, freqMap, parseDate } from '../engine';
+
+// The full, shareable state of the simulator. Bump CONFIG_VERSION whenever the shape changes and
+// teach parseConfig to upgrade the older versions it still accepts.
+export const CONFIG_VERSION = 2;
+export const BASELINE_ID = 'baseline';
+export const emptyFees = { upfront: [], recurring: [], prepayment: [] };
+
+const MAX_AMOUNT = 1e12;
+const MAX_SCENARIOS = 20;
+const MAX_ENTRIES = 200;
+
+export function buildConfig({ original, remaining, emiFreq, compounding, startDate, dayCount, currency, fees, scenarios, activeScenario }) {
+  return {
+    version: CONFIG_VERSION,
+    loan: { original, remaining, emiFreq, compounding, startDate, dayCount, currency, fees },
+    scenarios,
+    activeScenario,
+  };
+}
+
+const fail = (path, message) => { throw new Error(`${path} ${message}`); };
+
+function number(value, path, { min = 0, max = MAX_AMOUNT, integer = false } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) fail(path, 'must be a number');
+  if (integer && !Number.isInteger(value)) fail(path, 'must be a whole number');
+  if (value < min || value > max) fail(path, `must be between ${min} and ${max}`);
+  return value;
+}
+
+function oneOf(value, options, path) {
+  if (!options.includes(value)) fail(path, `must be one of ${options.map(o => `"${o}"`).join(', ')}`);
+  return value;
+}
+
+function list(value, path, max = MAX_ENTRIES) {
+  if (!Array.isArray(value)) fail(path, 'must be a list');
+  if (value.length > max) fail(path, `must have at most ${max} entries`);
+  return value;
+}
+
+function object(value, path) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) fail(path, 'must be an object');
+  return value;
+}
+
+function text(value, path, max = 100) {
+  if (typeof value !== 'string' || !value.trim()) fail(path, 'must be a non-empty string');
+  if (value.length > max) fail(path, `must be at most ${max} characters`);
+  return value;
+}
+
+// Open-ended periods are stored as ''.
+const optionalPeriod = (value, path, min) => value === '' || value == null ? '' : number(value, path, { min, max: 10000, integer: true });
+
+function parseEvent(ev, path, i) {
+  object(ev, path);
+  const id = ev.id == null ? `event-${i}` : text(String(ev.id), `${path}.id`);
+  const type = oneOf(ev.type, ['one-time', 'recurring', 'pause'], `${path}.type`);
+  if (type === 'one-time') {
+    return { id, type, amount: number(ev.amount, `${path}.amount`), period: number(ev.period, `${path}.period`, { max: 10000, integer: true }) };
+  }
+  const start = number(ev.start, `${path}.start`, { min: 1, max: 10000, integer: true });
+  const end = optionalPeriod(ev.end, `${path}.end`, start);
+  if (type === 'pause') return { id, type, start, end };
+  return {
+    id,
+    type,
+    amount: number(ev.amount, `${path}.amount`),
+    freq: oneOf(ev.freq, Object.keys(freqMap), `${path}.freq`),
+    start,
+    end,
+    stepUp: number(ev.stepUp ?? 0, `${path}.stepUp`, { max: 100 }),
+  };
+}
+
+// Fees belong to the loan rather than to a scenario: every plan pays the same lender's charges.
+function parseFees(fees, path) {
+  object(fees, path);
+  const entry = (f, p, i) => {
+    object(f, p);
+    return { id: f.id == null ? `fee-${i}` : text(String(f.id), `${p}.id`), name: f.name == null || f.name === '' ? '' : text(f.name, `${p}.name`) };
+  };
+  const charge = (f, p) => {
+    const type = oneOf(f.type, ['percent', 'flat'], `${p}.type`);
+    return { type, value: number(f.value, `${p}.value`, type === 'percent' ? { max: 100 } : {}) };
+  };
+  return {
+    upfront: list(fees.upfront ?? [], `${path}.upfront`).map((f, i) => ({ ...entry(f, `${path}.upfront[${i}]`, i), ...charge(f, `${path}.upfront[${i}]`) })),
+    recurring: list(fees.recurring ?? [], `${path}.recurring`).map((c, i) => {
+      const p = `${path}.recurring[${i}]`;
+      const base = entry(c, p, i);
+      const start = number(c.start, `${p}.start`, { min: 1, max: 10000, integer: true });
+      return { ...base, amount: number(c.amount, `${p}.amount`), freq: oneOf(c.freq, Object.keys(freqMap), `${p}.freq`), start, end: optionalPeriod(c.end, `${p}.end`, start) };
+    }),
+    prepayment: list(fees.prepayment ?? [], `${path}.prepayment`).map((r, i) => {
+      const p = `${path}.prepayment[${i}]`;
+      const base = entry(r, p, i);
+      const from = number(r.from ?? 1, `${p}.from`, { min: 1, max: 10000, integer: true });
+      return { ...base, ...charge(r, p), from, until: optionalPeriod(r.until, `${p}.until`, from) };
+    }),
+  };
+}
+
+function parseScenario(s, path) {
+  object(s, path);
+  return {
+    id: text(String(s.id ?? ''), `${path}.id`),
+    name: text(s.name, `${path}.name`),
+    emi: number(s.emi, `${path}.emi`),
+    annualRate: number(s.annualRate, `${path}.annualRate`, { max: 100 }),
+    events: list(s.events ?? [], `${path}.events`).map((ev, i) => parseEvent(ev, `${path}.events[${i}]`, i)),
+    rateChanges: list(s.rateChanges ?? [], `${path}.rateChanges`).map((c, i) => {
+      object(c, `${path}.rateChanges[${i}]`);
+      return {
+        id: c.id == null ? `rate-${i}` : text(String(c.id), `${path}.rateChanges[${i}].id`),
+        period: number(c.period, `${path}.rateChanges[${i}].period`, { min: 1, max: 10000, integer: true }),
+        rate: number(c.rate, `${path}.rateChanges[${i}].rate`, { max: 100 }),
+      };
+    }),
+    prepayMode: oneOf(s.prepayMode ?? 'tenure', ['tenure', 'emi'], `${path}.prepayMode`),
+    resetPolicy: oneOf(s.resetPolicy ?? 'keep-emi', ['keep-emi', 'reset-emi'], `${path}.resetPolicy`),
+  };
+}
+
+/**
+ * Validates a configuration (an object or its JSON text) and returns a normalized copy.
+ * Throws an Error naming the offending field, e.g. "scenarios[1].annualRate must be between 0 and 100".
+ */
+export function parseConfig(input) {
+  let config = input;
+  if (typeof input === 'string') {
+    try {
+      config = JSON.parse(input);
+    } catch {
+      throw new Error('Configuration is not valid JSON');
+    }
+  }
+  object(config, 'Configuration');
+  const version = number(config.version, 'version', { min: 1, max: Infinity, integer: true });
+  if (version > CONFIG_VERSION) fail('version', `${version} is newer than this simulator supports (${CONFIG_VERSION}); please reload the app`);
+
+  const loan = object(config.loan, 'loan');
+  if (!parseDate(loan.startDate)) fail('loan.startDate', 'must be a date in YYYY-MM-DD format');
+  const parsedLoan = {
+    original: number(loan.original, 'loan.original'),
+    remaining: number(loan.remaining, 'loan.remaining'),
+    emiFreq: oneOf(loan.emiFreq, Object.keys(freqMap), 'loan.emiFreq'),
+    compounding: oneOf(loan.compounding, Object.keys(compoundingMap), 'loan.compounding'),
+    startDate: loan.startDate,
+    dayCount: oneOf(loan.dayCount, Object.keys(dayCounts), 'loan.dayCount'),
+    currency: oneOf(loan.currency, currencies.map(c => c.code), 'loan.currency'),
+    // Version 1 predates fees; those loans had none.
+    fees: parseFees(loan.fees ?? emptyFees, 'loan.fees'),
+  };
+
+  const scenarios = list(config.scenarios, 'scenarios', MAX_SCENARIOS).map((s, i) => parseScenario(s, `scenarios[${i}]`));
+  if (!scenarios.some(s => s.id === BASELINE_ID)) fail('scenarios', `must include the "${BASELINE_ID}" scenario`);
+  const duplicate = scenarios.find((s, i) => scenarios.findIndex(x => x.id === s.id) !== i);
+  if (duplicate) fail('scenarios', `contain the id "${duplicate.id}" more than once`);
+  const baseline = scenarios.find(s => s.id === BASELINE_ID);
+  if (baseline.events.length) fail('scenarios', 'baseline must not have prepayments');
+
+  return {
+    version: CONFIG_VERSION,
+    loan: parsedLoan,
+    scenarios,
+    activeScenario: scenarios.some(s => s.id === config.activeScenario) ? config.activeScenario : BASELINE_ID,
+  };
+}
+
+// URL-safe base64 of the UTF-8 JSON, so scenario names in any script survive a link.
+export function encodeConfig(config) {
+  const binary = encodeURIComponent(JSON.stringify(config)).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeConfig(encoded) {
+  let json;
+  try {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    json = decodeURIComponent(Array.from(binary, c => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+  } catch {
+    throw new Error('Shared link is damaged or incomplete');
+  }
+  return parseConfig(json);
+}
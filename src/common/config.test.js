@@ -0,0 +1,80 @@
+import { buildConfig, CONFIG_VERSION, decodeConfig, encodeConfig, parseConfig } from './config';
+
+const state = {
+  original: 3200000,
+  remaining: 2945000,
+  emiFreq: 'monthly',
+  compounding: 'per-payment',
+  startDate: '2025-01-05',
+  dayCount: 'periodic',
+  currency: 'INR',
+  fees: {
+    upfront: [{ id: 'f1', name: 'Processing fee', type: 'percent', value: 0.5 }],
+    recurring: [{ id: 'f2', name: 'Insurance', amount: 6000, freq: 'yearly', start: 1, end: '' }],
+    prepayment: [{ id: 'f3', name: 'Lock-in penalty', type: 'percent', value: 2, from: 1, until: 36 }],
+  },
+  scenarios: [
+    { id: 'baseline', name: 'No prepayment', emi: 33600, annualRate: 8.2, events: [] },
+    {
+      id: 'plan-1',
+      name: 'Bonus every March ₹',
+      emi: 33600,
+      annualRate: 8.2,
+      prepayMode: 'emi',
+      resetPolicy: 'reset-emi',
+      events: [{ id: 'e1', type: 'recurring', amount: 200000, freq: 'yearly', start: 3, end: '', stepUp: 5 }],
+      rateChanges: [{ id: 'r1', period: 6, rate: 8.5 }],
+    },
+  ],
+  activeScenario: 'plan-1',
+};
+
+test('round-trips the full state', () => {
+  const config = parseConfig(JSON.stringify(buildConfig(state)));
+  expect(config.version).toBe(CONFIG_VERSION);
+  expect(config.loan).toMatchObject({ remaining: 2945000, currency: 'INR', startDate: '2025-01-05' });
+  expect(config.scenarios[1]).toMatchObject({ name: 'Bonus every March ₹', prepayMode: 'emi', rateChanges: [{ period: 6, rate: 8.5 }] });
+  expect(config.activeScenario).toBe('plan-1');
+  expect(config.loan.fees).toEqual(state.fees);
+});
+
+test('upgrades version 1 configurations without fees', () => {
+  const { fees, ...loan } = buildConfig(state).loan;
+  const config = parseConfig({ ...buildConfig(state), version: 1, loan });
+  expect(config.version).toBe(CONFIG_VERSION);
+  expect(config.loan.fees).toEqual({ upfront: [], recurring: [], prepayment: [] });
+});
+
+test('share links survive non-ASCII names', () => {
+  const encoded = encodeConfig(parseConfig(buildConfig(state)));
+  expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+  expect(decodeConfig(encoded).scenarios[1].name).toBe('Bonus every March ₹');
+});
+
+test('fills defaults for optional scenario fields', () => {
+  const config = parseConfig(buildConfig({ ...state, scenarios: [{ id: 'baseline', name: 'Base', emi: 1000, annualRate: 9 }] }));
+  expect(config.scenarios[0]).toMatchObject({ events: [], rateChanges: [], prepayMode: 'tenure', resetPolicy: 'keep-emi' });
+  expect(config.activeScenario).toBe('baseline');
+});
+
+test.each([
+  ['not json', 'Configuration is not valid JSON'],
+  [{ ...buildConfig(state), version: 99 }, 'version 99 is newer than this simulator supports'],
+  [{ ...buildConfig(state), loan: { ...buildConfig(state).loan, remaining: -1 } }, 'loan.remaining must be between 0 and'],
+  [{ ...buildConfig(state), loan: { ...buildConfig(state).loan, remaining: '' } }, 'loan.remaining must be a number'],
+  [{ ...buildConfig(state), loan: { ...buildConfig(state).loan, currency: 'XYZ' } }, 'loan.currency must be one of'],
+  [{ ...buildConfig(state), loan: { ...buildConfig(state).loan, startDate: '05/01/2025' } }, 'loan.startDate must be a date in YYYY-MM-DD format'],
+  [buildConfig({ ...state, scenarios: [state.scenarios[1]] }), 'scenarios must include the "baseline" scenario'],
+  [buildConfig({ ...state, scenarios: [state.scenarios[0], { ...state.scenarios[1], annualRate: 120 }] }), 'scenarios[1].annualRate must be between 0 and 100'],
+  [buildConfig({ ...state, scenarios: [state.scenarios[0], { ...state.scenarios[1], events: [{ type: 'recurring', amount: 5, freq: 'daily', start: 1 }] }] }), 'scenarios[1].events[0].freq must be one of'],
+  [buildConfig({ ...state, scenarios: [state.scenarios[0], { ...state.scenarios[1], events: [{ type: 'pause', start: 5, end: 2 }] }] }), 'scenarios[1].events[0].end must be between 5 and'],
+  [buildConfig({ ...state, scenarios: [state.scenarios[0], state.scenarios[0]] }), 'scenarios contain the id "baseline" more than once'],
+  [buildConfig({ ...state, fees: { upfront: [{ type: 'percent', value: 150 }] } }), 'loan.fees.upfront[0].value must be between 0 and 100'],
+  [buildConfig({ ...state, fees: { prepayment: [{ type: 'flat', value: 500, from: 12, until: 6 }] } }), 'loan.fees.prepayment[0].until must be between 12 and'],
+])('rejects %p', (input, message) => {
+  expect(() => parseConfig(input)).toThrow(message);
+});
+
+test('rejects damaged share links', () => {
+  expect(() => decodeConfig('%%%')).toThrow('Shared link is damaged or incomplete');
+});
@@ -0,0 +1,19 @@
+// Plain-language summaries of prepayments and fees, shared by the editors, the tables and the exports.
+// `money` formats amounts; `at` names a period and may add its due date.
+const plainPeriod = period => `period ${period}`;
+
+export function describeEvent(ev, { money, at = plainPeriod }) {
+  if (ev.type === 'one-time') return `${money(ev.amount || 0)} once, ${+ev.period === 0 ? 'before the first installment' : `in ${at(ev.period)}`}`;
+  if (ev.type === 'pause') return `No extra payments from ${at(ev.start)}${ev.end === '' ? ' onwards' : ` to ${at(ev.end)}`}`;
+  const stepUp = +ev.stepUp ? `, rising ${ev.stepUp}% every year` : '';
+  return `${money(ev.amount || 0)} every ${ev.freq} from ${at(ev.start)}${ev.end === '' ? ' until payoff' : ` to ${at(ev.end)}`}${stepUp}`;
+}
+
+export const feeLabels = { upfront: 'Upfront fee', recurring: 'Recurring charge', prepayment: 'Prepayment charge' };
+
+export function describeFee(kind, f, { money, at = plainPeriod }) {
+  const charge = f.type === 'percent' ? `${f.value || 0}%` : money(f.value || 0);
+  if (kind === 'upfront') return `${charge}${f.type === 'percent' ? ' of the original loan amount' : ''}, paid upfront`;
+  if (kind === 'recurring') return `${money(f.amount || 0)} every ${f.freq} from ${at(f.start)}${f.end === '' ? ' until payoff' : ` to ${at(f.end)}`}`;
+  return `${charge}${f.type === 'percent' ? ' of each prepayment' : ' per prepayment'} made from ${at(f.from)}${f.until === '' ? ' onwards' : ` to ${at(f.until)}`}`;
+}
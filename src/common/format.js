@@ -0,0 +1,7 @@
+// Short labels for chart axes: 2.9M, 736K, 450.
+export function compactAmount(value) {
+  const a = Math.abs(value);
+  if (a >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (a >= 1e3) return `${(value / 1e3).toFixed(0)}K`;
+  return `${Math.round(value)}`;
+}
@@ -0,0 +1,120 @@
+import { useMemo } from 'react';
+import { LineChart, Line, CartesianGrid, XAxis, YAxis, Tooltip as RechartsTooltip, ResponsiveContainer, Legend } from 'recharts';
+import { ArrowDown, ArrowUp } from 'lucide-react';
+import { BASELINE_ID } from '../common/config';
+import { compactAmount } from '../common/format';
+import { addPeriods, parseDate, payoffStrategies, planDebtPayoff, PLANNER_MONTH_CAP, rateForPeriod } from '../engine';
+
+const strategyLabels = { avalanche: 'Avalanche', snowball: 'Snowball', custom: 'Custom', minimum: 'EMIs only' };
+const strategyHints = { avalanche: 'highest rate first', snowball: 'smallest balance first', custom: 'your order', minimum: 'no extra, no rollover' };
+const strategyColors = { avalanche: '#4f46e5', snowball: '#16a34a', custom: '#ea580c', minimum: '#6b7280' };
+
+// The planner works from each saved loan's baseline: its current rate and regular EMI, without its prepayment plans.
+function plannerLoan({ id, name, config }) {
+  const baseline = config.scenarios.find(s => s.id === BASELINE_ID);
+  return {
+    id,
+    name,
+    balance: config.loan.remaining,
+    emi: baseline.emi,
+    annualRate: rateForPeriod(baseline.rateChanges, baseline.annualRate, 1),
+    freq: config.loan.emiFreq,
+    compounding: config.loan.compounding,
+    startDate: config.loan.startDate,
+  };
+}
+
+export function DebtPlanner({ darkMode, savedLoans, settings, onChange, fmt, fmtDate, currency }) {
+  const { budget, strategy, priority } = settings;
+  const loans = useMemo(() => savedLoans.map(plannerLoan), [savedLoans]);
+  const startDate = loans.map(l => l.startDate).sort()[0];
+  const plans = useMemo(
+    () => payoffStrategies.map(s => planDebtPayoff(loans, { budget, strategy: s, priority, startDate })),
+    [loans, budget, priority, startDate]
+  );
+  const chartData = useMemo(() => {
+    const length = Math.max(0, ...plans.map(p => p.series.length));
+    return Array.from({ length }, (_, month) => plans.reduce((point, p) => {
+      if (p.series[month]) point[p.strategy] = p.series[month].total;
+      return point;
+    }, { month }));
+  }, [plans]);
+
+  const order = [...priority.filter(id => loans.some(l => l.id === id)), ...loans.filter(l => !priority.includes(l.id)).map(l => l.id)];
+  const move = (index, delta) => {
+    const next = [...order];
+    [next[index], next[index + delta]] = [next[index + delta], next[index]];
+    onChange({ ...settings, priority: next });
+  };
+  const minimum = plans.find(p => p.strategy === 'minimum');
+  const monthDate = month => fmtDate(addPeriods(parseDate(startDate), month - 1, 'monthly'));
+  const otherCurrency = savedLoans.some(l => l.config.loan.currency !== currency);
+  const cell = `border px-3 py-2 ${darkMode ? 'border-gray-600' : 'border-gray-300'}`;
+  const highlight = s => s === strategy ? (darkMode ? 'bg-gray-700 font-semibold' : 'bg-indigo-50 font-semibold') : '';
+
+  return (
+    <div className={`mt-8 p-6 shadow-lg rounded-2xl transition-colors ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+      <h2 className="text-2xl font-bold mb-2 text-center">Debt Payoff Planner</h2>
+      <p className="text-sm text-center text-gray-500 dark:text-gray-400 mb-6">Every saved loan keeps its EMI. The extra budget, plus the EMI of each loan as it closes, goes to the next loan in line.</p>
+      {loans.length === 0 ? <div className="text-center text-gray-500 dark:text-gray-400">Save at least one loan above to plan its payoff.</div> : <>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+          <div>
+            <label className="block font-medium mb-1">Extra budget per month</label>
+            <input type="number" min="0" value={budget} onChange={e => onChange({ ...settings, budget: e.target.value === '' ? '' : Math.max(0, parseFloat(e.target.value) || 0) })} className={`w-full p-3 border rounded-lg ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`} />
+            <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">{fmt(budget || 0)} on top of the EMIs</div>
+          </div>
+          <div>
+            <label className="block font-medium mb-1">Strategy</label>
+            <div className="flex">
+              {['avalanche', 'snowball', 'custom'].map((s, i) => <button key={s} onClick={() => onChange({ ...settings, strategy: s })} title={strategyHints[s]} className={`flex-1 px-4 py-2 ${i === 0 ? 'rounded-l-lg' : i === 2 ? 'rounded-r-lg' : ''} ${strategy === s ? 'bg-indigo-600 text-white' : darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>{strategyLabels[s]}</button>)}
+            </div>
+            <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">Extra payments go {strategyHints[strategy]}.</div>
+          </div>
+        </div>
+        {strategy === 'custom' && <div className="mb-6">
+          {order.map((id, i) => (
+            <div key={id} className={`flex items-center justify-between mb-2 p-2 rounded-lg border ${darkMode ? 'border-gray-600' : 'border-gray-200'}`}>
+              <span>{i + 1}. {loans.find(l => l.id === id).name}</span>
+              <span className="flex gap-1">
+                <button onClick={() => move(i, -1)} disabled={i === 0} aria-label="Move up" className="p-1 disabled:opacity-30"><ArrowUp className="w-4 h-4" /></button>
+                <button onClick={() => move(i, 1)} disabled={i === order.length - 1} aria-label="Move down" className="p-1 disabled:opacity-30"><ArrowDown className="w-4 h-4" /></button>
+              </span>
+            </div>
+          ))}
+        </div>}
+        {otherCurrency && <div className="text-sm text-yellow-600 mb-4">Some loans were saved in another currency; amounts are combined as-is and shown in {currency}.</div>}
+        <div className="mb-6" style={{ height: 300 }}><ResponsiveContainer width="100%" height="100%"><LineChart data={chartData}><CartesianGrid strokeDasharray="3 3" stroke={darkMode ? '#555' : '#ccc'} /><XAxis dataKey="month" label={{ value: 'Month', position: 'insideBottom', offset: -5 }} stroke={darkMode ? '#aaa' : '#666'} /><YAxis label={{ value: `Combined balance (${currency})`, angle: -90, position: 'insideLeft' }} stroke={darkMode ? '#aaa' : '#666'} tickFormatter={compactAmount} /><RechartsTooltip formatter={val => fmt(val)} labelFormatter={month => month === 0 ? 'Today' : `Month ${month} · ${monthDate(month)}`} contentStyle={{ backgroundColor: darkMode ? '#333' : '#fff', borderColor: darkMode ? '#555' : '#ccc', color: darkMode ? '#eee' : '#333' }} /><Legend verticalAlign="top" />{plans.map(p => <Line key={p.strategy} type="monotone" dataKey={p.strategy} name={strategyLabels[p.strategy]} stroke={strategyColors[p.strategy]} strokeWidth={p.strategy === strategy ? 3 : 2} strokeDasharray={p.strategy === 'minimum' ? '5 5' : undefined} dot={false} />)}</LineChart></ResponsiveContainer></div>
+        <div className="overflow-auto">
+          <table className={`min-w-full table-auto border-collapse transition-colors ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+            <thead className={`${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+              <tr>
+                <th className={`${cell} text-left`}>Loan</th>
+                {plans.map(p => <th key={p.strategy} className={`${cell} text-left`}>{strategyLabels[p.strategy]}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {loans.map((l, i) => (
+                <tr key={l.id}>
+                  <td className={cell}>{l.name}</td>
+                  {plans.map(p => <td key={p.strategy} className={`${cell} ${highlight(p.strategy)}`}>{p.loans[i].payoffMonth === null ? 'not paid off' : p.loans[i].payoffDate ? fmtDate(p.loans[i].payoffDate) : '—'}</td>)}
+                </tr>
+              ))}
+              <tr>
+                <td className={cell}>Debt-free on</td>
+                {plans.map(p => <td key={p.strategy} className={`${cell} ${highlight(p.strategy)}`}>{!p.closed ? `not within ${PLANNER_MONTH_CAP / 12} years` : p.payoffDate ? fmtDate(p.payoffDate) : '—'}</td>)}
+              </tr>
+              <tr>
+                <td className={cell}>Total interest</td>
+                {plans.map(p => <td key={p.strategy} className={`${cell} ${highlight(p.strategy)}`}>{fmt(p.totalInterest)}</td>)}
+              </tr>
+              <tr>
+                <td className={cell}>Interest saved</td>
+                {plans.map(p => <td key={p.strategy} className={`${cell} ${highlight(p.strategy)}`}>{p.strategy === 'minimum' ? '—' : fmt(minimum.totalInterest - p.totalInterest)}</td>)}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </>}
+    </div>
+  );
+}
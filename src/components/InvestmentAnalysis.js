@@ -0,0 +1,59 @@
+import { useMemo } from 'react';
+import { LineChart, Line, CartesianGrid, XAxis, YAxis, Tooltip as RechartsTooltip, ResponsiveContainer, Legend } from 'recharts';
+import { comparePrepayVsInvest } from '../engine';
+import { compactAmount } from '../common/format';
+
+const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+export function InvestmentAnalysis({ darkMode, loan, settings, onChange, fmt, currency, unit, dateOf }) {
+  const { deductions } = settings;
+  const result = useMemo(() => {
+    const { deductions, ...options } = settings;
+    return comparePrepayVsInvest(loan, deductions ? options : { ...options, taxRate: 0 });
+  }, [loan, settings]);
+  const input = `p-2 border rounded-lg w-full ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`;
+  const set = key => e => onChange({ ...settings, [key]: e.target.value === '' ? '' : Math.max(0, parseFloat(e.target.value) || 0) });
+  const field = (key, label, props = {}) => (
+    <label className="text-sm">{label}
+      <input type="number" min="0" step="0.5" value={settings[key]} onChange={set(key)} className={input} {...props} />
+    </label>
+  );
+  const { prepay, invest, advantage, breakEvenReturn, years } = result;
+  const rows = [
+    ['Investments (after tax)', p => fmt(p.portfolio)],
+    ['Loan outstanding', p => fmt(p.debt)],
+    ['Net worth', p => <strong>{fmt(p.netWorth)}</strong>],
+    ["Net worth in today's money", p => fmt(p.realNetWorth)],
+    ...(deductions ? [['Tax refunds', p => fmt(p.taxSaved)]] : []),
+  ];
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-semibold mb-2">Prepay or invest?</h3>
+      <div className="text-sm text-gray-500 dark:text-gray-400 mb-3">Both paths spend the same cash each period until this plan closes the loan: one prepays as planned, the other pays only the EMI and invests the difference.</div>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-2 items-end mb-3">
+        {field('expectedReturn', 'Expected return (% p.a.)')}
+        {field('inflation', 'Inflation (% p.a.)')}
+        {field('returnTax', 'Tax on gains (%)')}
+      </div>
+      <label className="flex items-center text-sm mb-3"><input type="checkbox" checked={deductions} onChange={e => onChange({ ...settings, deductions: e.target.checked })} className="mr-2" />Loan repayments earn tax deductions</label>
+      {deductions && <div className="grid grid-cols-2 md:grid-cols-4 gap-2 items-end mb-3">
+        {field('taxRate', 'Marginal tax rate (%)')}
+        {field('interestCap', 'Interest cap / yr', { step: '1000', placeholder: 'no cap', title: "e.g. 200000 under India's Section 24(b)" })}
+        {field('principalCap', 'Principal cap / yr', { step: '1000', placeholder: 'no cap', title: "e.g. 150000 under India's Section 80C" })}
+        <label className="text-sm">Tax year starts
+          <select value={settings.taxYearStart} onChange={e => onChange({ ...settings, taxYearStart: +e.target.value })} className={input}>{months.map((m, i) => <option key={m} value={i + 1}>{m}</option>)}</select>
+        </label>
+      </div>}
+      <div className={`p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+        <div className="grid grid-cols-3 gap-2 text-sm">
+          <span /><strong>Prepay</strong><strong>Invest instead</strong>
+          {rows.map(([label, value]) => [<span key={label}>{label}</span>, <span key={`${label}-prepay`}>{value(prepay)}</span>, <span key={`${label}-invest`}>{value(invest)}</span>])}
+        </div>
+        <div className="mt-3">After {years.toFixed(1)} years {advantage === 0 ? 'both paths end level' : <><strong>{advantage > 0 ? 'investing' : 'prepaying'}</strong> comes out ahead by <strong>{fmt(Math.abs(advantage))}</strong></>}.</div>
+        <div>{breakEvenReturn === null ? (advantage === 0 ? 'Add prepayments to this scenario to compare.' : 'Prepaying wins at any return up to 100% p.a.') : breakEvenReturn === 0 ? 'Investing wins even at a 0% return.' : <>Break-even return: <strong>{breakEvenReturn.toFixed(2)}% p.a.</strong> — investing pays off only above it.</>}</div>
+      </div>
+      <div className="mt-4" style={{ height: 250 }}><ResponsiveContainer width="100%" height="100%"><LineChart data={result.series}><CartesianGrid strokeDasharray="3 3" stroke={darkMode ? '#555' : '#ccc'} /><XAxis dataKey="period" label={{ value: `Period (${unit})`, position: 'insideBottom', offset: -5 }} stroke={darkMode ? '#aaa' : '#666'} /><YAxis label={{ value: `Net worth (${currency})`, angle: -90, position: 'insideLeft' }} stroke={darkMode ? '#aaa' : '#666'} tickFormatter={compactAmount} /><RechartsTooltip formatter={val => fmt(val)} labelFormatter={period => `Period ${period} · ${dateOf(period)}`} contentStyle={{ backgroundColor: darkMode ? '#333' : '#fff', borderColor: darkMode ? '#555' : '#ccc', color: darkMode ? '#eee' : '#333' }} /><Legend verticalAlign="top" /><Line type="monotone" dataKey="prepay" name="Prepay" stroke="#4f46e5" strokeWidth={2} dot={false} /><Line type="monotone" dataKey="invest" name="Invest instead" stroke="#16a34a" strokeWidth={2} dot={false} /></LineChart></ResponsiveContainer></div>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import { Plus, X } from 'lucide-react';
+import { freqMap } from '../engine';
+import { describeFee, feeLabels } from '../common/describe';
+
+const feeTemplates = {
+  upfront: { name: 'Processing fee', type: 'percent', value: 0.5 },
+  recurring: { name: 'Insurance premium', amount: 5000, freq: 'yearly', start: 1, end: '' },
+  prepayment: { name: 'Prepayment penalty', type: 'percent', value: 2, from: 1, until: 36 },
+};
+
+export function LoanFees({ darkMode, fees, onChange, fmt, unit, dateOf }) {
+  const input = `p-2 border rounded-lg w-full ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`;
+  const update = (kind, id, changes) => onChange({ ...fees, [kind]: fees[kind].map(f => f.id === id ? { ...f, ...changes } : f) });
+  const remove = (kind, id) => onChange({ ...fees, [kind]: fees[kind].filter(f => f.id !== id) });
+  const add = kind => onChange({ ...fees, [kind]: [...fees[kind], { ...feeTemplates[kind], id: `fee-${Date.now()}` }] });
+  const integer = (value, min) => value === '' ? '' : Math.max(min, parseInt(value, 10) || 0);
+  const amount = value => value === '' ? '' : Math.max(0, parseFloat(value) || 0);
+  const percent = value => value === '' ? '' : Math.min(100, amount(value));
+  const entries = Object.keys(feeTemplates).flatMap(kind => fees[kind].map(f => ({ kind, f })));
+  const at = period => `period ${period} (${dateOf(+period || 1)})`;
+  // As in the prepayment plan, leaving an entry fills empty fields and keeps its window in order.
+  const settle = (kind, f) => {
+    const start = f.start === '' ? 1 : f.start;
+    const from = f.from === '' ? 1 : f.from;
+    const changes = {
+      ...(f.value === '' && { value: 0 }),
+      ...(f.amount === '' && { amount: 0 }),
+      ...(f.start === '' && { start }),
+      ...(f.end != null && f.end !== '' && f.end < start && { end: start }),
+      ...(f.from === '' && { from }),
+      ...(f.until != null && f.until !== '' && f.until < from && { until: from }),
+    };
+    if (Object.keys(changes).length) update(kind, f.id, changes);
+  };
+
+  const typeSelect = (kind, f) => (
+    <label className="text-sm">Charged as
+      <select value={f.type} onChange={e => update(kind, f.id, { type: e.target.value })} className={input}>
+        <option value="percent">% of amount</option>
+        <option value="flat">flat fee</option>
+      </select>
+    </label>
+  );
+
+  return (
+    <div>
+      {entries.length === 0 && <div className="text-sm text-gray-500 dark:text-gray-400 mb-2">No fees or charges — add processing fees, insurance or prepayment penalties below.</div>}
+      {entries.map(({ kind, f }) => (
+        <div key={f.id} onBlur={() => settle(kind, f)} className={`mb-3 p-3 rounded-lg border ${darkMode ? 'border-gray-600' : 'border-gray-200'}`}>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2 items-end">
+            <label className="text-sm">{feeLabels[kind]}
+              <input type="text" value={f.name} onChange={e => update(kind, f.id, { name: e.target.value })} className={input} />
+            </label>
+            {kind !== 'recurring' && typeSelect(kind, f)}
+            {kind !== 'recurring' && <label className="text-sm">{f.type === 'percent' ? 'Percent' : 'Amount'}
+              <input type="number" min="0" step={f.type === 'percent' ? '0.25' : '1'} value={f.value} onChange={e => update(kind, f.id, { value: (f.type === 'percent' ? percent : amount)(e.target.value) })} className={input} />
+            </label>}
+            {kind === 'recurring' && <>
+              <label className="text-sm">Amount
+                <input type="number" min="0" value={f.amount} onChange={e => update(kind, f.id, { amount: amount(e.target.value) })} className={input} />
+              </label>
+              <label className="text-sm">Every
+                <select value={f.freq} onChange={e => update(kind, f.id, { freq: e.target.value })} className={input}>
+                  {Object.keys(freqMap).map(v => <option key={v} value={v}>{v}</option>)}
+                </select>
+              </label>
+              <label className="text-sm">From period
+                <input type="number" min="1" value={f.start} onChange={e => update(kind, f.id, { start: integer(e.target.value, 1) })} className={input} />
+              </label>
+              <label className="text-sm">To period
+                <input type="number" min="1" placeholder="payoff" value={f.end} onChange={e => update(kind, f.id, { end: integer(e.target.value, 1) })} className={input} />
+              </label>
+            </>}
+            {kind === 'prepayment' && <>
+              <label className="text-sm">From period
+                <input type="number" min="1" value={f.from} onChange={e => update(kind, f.id, { from: integer(e.target.value, 1) })} className={input} />
+              </label>
+              <label className="text-sm">Until period
+                <input type="number" min="1" placeholder="no end" value={f.until} onChange={e => update(kind, f.id, { until: integer(e.target.value, 1) })} className={input} />
+              </label>
+            </>}
+          </div>
+          <div className="flex justify-between items-center mt-2 text-sm text-gray-500 dark:text-gray-400">
+            <span>{describeFee(kind, f, { money: fmt, at })}</span>
+            <button onClick={() => remove(kind, f.id)} aria-label={`Remove ${feeLabels[kind].toLowerCase()}`} className="hover:text-red-500"><X className="w-4 h-4" /></button>
+          </div>
+        </div>
+      ))}
+      <div className="flex flex-wrap gap-2">
+        {Object.keys(feeTemplates).map(kind => (
+          <button key={kind} onClick={() => add(kind)} className={`flex items-center px-3 py-1 rounded-lg ${darkMode ? 'bg-blue-800 hover:bg-blue-700' : 'bg-blue-100 hover:bg-blue-200'}`}><Plus className="w-4 h-4 mr-1" />{feeLabels[kind].toLowerCase()}</button>
+        ))}
+      </div>
+      <div className="text-xs text-gray-500 dark:text-gray-400 mt-2">Periods are counted in {unit}. Fees apply to every scenario of this loan.</div>
+    </div>
+  );
+}
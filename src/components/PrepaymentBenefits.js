@@ -0,0 +1,36 @@
+import { useMemo } from 'react';
+import { prepaymentBenefits } from '../engine';
+import { describeEvent } from '../common/describe';
+
+export function PrepaymentBenefits({ darkMode, loan, fmt }) {
+  const benefits = useMemo(() => prepaymentBenefits(loan), [loan]);
+  if (benefits.length === 0) return null;
+  const cell = `border px-3 py-2 ${darkMode ? 'border-gray-600' : 'border-gray-300'}`;
+
+  return (
+    <div className="overflow-auto mb-6">
+      <h3 className="text-lg font-semibold mb-2">Net benefit of each prepayment</h3>
+      <div className="text-sm text-gray-500 dark:text-gray-400 mb-2">What the loan costs without a prepayment, less what it costs with it, keeping the rest of the plan unchanged.</div>
+      <table className={`min-w-full table-auto border-collapse transition-colors ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+        <thead className={`${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+          <tr>
+            {['Prepayment', 'Interest Saved', 'Penalties', 'Other Fees Saved', 'Net Benefit'].map(h => (
+              <th key={h} className={`${cell} text-left`}>{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {benefits.map(b => (
+            <tr key={b.id} className={`${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-50'}`}>
+              <td className={cell}>{describeEvent(b.event, { money: fmt })}</td>
+              <td className={cell}>{fmt(b.interestSaved)}</td>
+              <td className={cell}>{b.penalties ? fmt(b.penalties) : '—'}</td>
+              <td className={cell}>{b.feesSaved ? fmt(b.feesSaved) : '—'}</td>
+              <td className={`${cell} font-semibold ${b.netBenefit < 0 ? 'text-red-500' : ''}`}>{fmt(b.netBenefit)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import { Plus, X } from 'lucide-react';
+import { freqMap } from '../engine';
+import { describeEvent } from '../common/describe';
+
+const eventTemplates = {
+  'one-time': { type: 'one-time', amount: 100000, period: 12 },
+  recurring: { type: 'recurring', amount: 5000, freq: 'monthly', start: 1, end: '', stepUp: 0 },
+  pause: { type: 'pause', start: 1, end: 12 },
+};
+
+export function PrepaymentPlan({ darkMode, events, onChange, fmt, unit, dateOf }) {
+  const input = `p-2 border rounded-lg w-full ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`;
+  const update = (id, changes) => onChange(events.map(ev => ev.id === id ? { ...ev, ...changes } : ev));
+  const remove = id => onChange(events.filter(ev => ev.id !== id));
+  const add = type => onChange([...events, { ...eventTemplates[type], id: `event-${Date.now()}` }]);
+  const integer = (value, min) => value === '' ? '' : Math.max(min, parseInt(value, 10) || 0);
+  const amount = value => value === '' ? '' : Math.max(0, parseFloat(value) || 0);
+  const at = period => `period ${period} (${dateOf(+period || 1)})`;
+  // Fields may be empty or out of order while typing; leaving an entry settles it into one that also
+  // passes validation when the plan is shared or saved.
+  const settle = ev => {
+    const start = ev.start === '' ? 1 : ev.start;
+    const changes = {
+      ...(ev.amount === '' && { amount: 0 }),
+      ...(ev.period === '' && { period: 0 }),
+      ...(ev.stepUp === '' && { stepUp: 0 }),
+      ...(ev.start === '' && { start }),
+      ...(ev.end != null && ev.end !== '' && ev.end < start && { end: start }),
+    };
+    if (Object.keys(changes).length) update(ev.id, changes);
+  };
+
+  return (
+    <div>
+      {events.length === 0 && <div className="text-sm text-gray-500 dark:text-gray-400 mb-2">No prepayments yet — add one below.</div>}
+      {events.map(ev => (
+        <div key={ev.id} onBlur={() => settle(ev)} className={`mb-3 p-3 rounded-lg border ${darkMode ? 'border-gray-600' : 'border-gray-200'}`}>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2 items-end">
+            <label className="text-sm">Type
+              <select value={ev.type} onChange={e => onChange(events.map(x => x.id === ev.id ? { ...eventTemplates[e.target.value], id: ev.id } : x))} className={input}>
+                {Object.keys(eventTemplates).map(t => <option key={t} value={t}>{t}</option>)}
+              </select>
+            </label>
+            {ev.type !== 'pause' && <label className="text-sm">Amount
+              <input type="number" min="0" value={ev.amount} onChange={e => update(ev.id, { amount: amount(e.target.value) })} className={input} />
+            </label>}
+            {ev.type === 'one-time' && <label className="text-sm">Period
+              <input type="number" min="0" value={ev.period} onChange={e => update(ev.id, { period: integer(e.target.value, 0) })} className={input} />
+            </label>}
+            {ev.type === 'recurring' && <label className="text-sm">Every
+              <select value={ev.freq} onChange={e => update(ev.id, { freq: e.target.value })} className={input}>
+                {Object.keys(freqMap).map(f => <option key={f} value={f}>{f}</option>)}
+              </select>
+            </label>}
+            {ev.type !== 'one-time' && <>
+              <label className="text-sm">From period
+                <input type="number" min="1" value={ev.start} onChange={e => update(ev.id, { start: integer(e.target.value, 1) })} className={input} />
+              </label>
+              <label className="text-sm">To period
+                <input type="number" min="1" placeholder="payoff" value={ev.end} onChange={e => update(ev.id, { end: integer(e.target.value, 1) })} className={input} />
+              </label>
+            </>}
+            {ev.type === 'recurring' && <label className="text-sm">Step-up % / yr
+              <input type="number" min="0" step="0.5" value={ev.stepUp} onChange={e => update(ev.id, { stepUp: amount(e.target.value) })} className={input} />
+            </label>}
+          </div>
+          <div className="flex justify-between items-center mt-2 text-sm text-gray-500 dark:text-gray-400">
+            <span>{describeEvent(ev, { money: fmt, at })}</span>
+            <button onClick={() => remove(ev.id)} aria-label="Remove prepayment" className="hover:text-red-500"><X className="w-4 h-4" /></button>
+          </div>
+        </div>
+      ))}
+      <div className="flex flex-wrap gap-2">
+        {Object.keys(eventTemplates).map(type => (
+          <button key={type} onClick={() => add(type)} className={`flex items-center px-3 py-1 rounded-lg ${darkMode ? 'bg-blue-800 hover:bg-blue-700' : 'bg-blue-100 hover:bg-blue-200'}`}><Plus className="w-4 h-4 mr-1" />{type}</button>
+        ))}
+      </div>
+      <div className="text-xs text-gray-500 dark:text-gray-400 mt-2">Periods are counted in {unit}.</div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import { PERIOD_CAP } from '../engine';
+
+export function RateTimeline({ darkMode, rateChanges, onChange, resetPolicy, onPolicyChange, baseRate, unit, dateOf }) {
+  const [generator, setGenerator] = useState({ bps: 25, every: 6, from: 6, cap: 10 });
+  const input = `p-2 border rounded-lg w-full ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`;
+  const sorted = [...rateChanges].sort((a, b) => (parseInt(a.period, 10) || 0) - (parseInt(b.period, 10) || 0));
+  const update = (id, changes) => onChange(rateChanges.map(c => c.id === id ? { ...c, ...changes } : c));
+  const remove = id => onChange(rateChanges.filter(c => c.id !== id));
+  // A change left without a period or rate starts at period 1 or keeps the base rate, so it still validates.
+  const settle = c => {
+    if (c.period === '' || c.rate === '') update(c.id, { period: c.period === '' ? 1 : c.period, rate: c.rate === '' ? baseRate : c.rate });
+  };
+  const add = () => {
+    const last = sorted[sorted.length - 1];
+    onChange([...rateChanges, { id: `rate-${Date.now()}`, period: last ? (parseInt(last.period, 10) || 0) + 12 : 12, rate: last ? last.rate : baseRate }]);
+  };
+
+  // Materializes "+N bps every M periods up to a cap" (or down to a floor for negative steps) into entries,
+  // replacing those from the start period on. A rate already at or past the cap or floor generates nothing.
+  const generate = () => {
+    const step = (parseFloat(generator.bps) || 0) / 100;
+    const every = Math.max(1, parseInt(generator.every, 10) || 1);
+    const cap = parseFloat(generator.cap) || 0;
+    if (step === 0) return;
+    const start = Math.max(2, parseInt(generator.from, 10) || 2);
+    const before = sorted.filter(c => (parseInt(c.period, 10) || 0) < start);
+    let rate = before.length ? parseFloat(before[before.length - 1].rate) || 0 : parseFloat(baseRate) || 0;
+    if (step > 0 ? rate >= cap : rate <= cap) return;
+    const generated = [];
+    for (let period = start; period <= PERIOD_CAP; period += every) {
+      const next = step > 0 ? Math.min(cap, rate + step) : Math.max(cap, rate + step);
+      if (next === rate) break;
+      rate = +next.toFixed(4);
+      generated.push({ id: `rate-${period}-${Date.now()}`, period, rate });
+    }
+    onChange([...before, ...generated]);
+  };
+
+  return (
+    <div>
+      <div className="flex mb-3">
+        {[['keep-emi', 'Keep EMI (tenure changes)'], ['reset-emi', 'Reset EMI (tenure fixed)']].map(([policy, label], i) => (
+          <button key={policy} onClick={() => onPolicyChange(policy)} className={`flex-1 px-4 py-2 ${i === 0 ? 'rounded-l-lg' : 'rounded-r-lg'} ${resetPolicy === policy ? 'bg-indigo-600 text-white' : darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>{label}</button>
+        ))}
+      </div>
+      <div className="text-sm text-gray-500 dark:text-gray-400 mb-2">Periods 1+ start at {baseRate}% unless changed below; periods are counted in {unit}.</div>
+      {sorted.map(c => (
+        <div key={c.id} onBlur={() => settle(c)} className="flex items-end gap-2 mb-2">
+          <label className="text-sm flex-1">From period{c.period !== '' && <span className="text-gray-500 dark:text-gray-400"> · {dateOf(+c.period)}</span>}
+            <input type="number" min="1" value={c.period} onChange={e => update(c.id, { period: e.target.value === '' ? '' : Math.max(1, parseInt(e.target.value, 10) || 1) })} className={input} />
+          </label>
+          <label className="text-sm flex-1">Rate (% p.a.)
+            <input type="number" min="0" max="100" step="0.05" value={c.rate} onChange={e => update(c.id, { rate: e.target.value === '' ? '' : Math.max(0, Math.min(100, +e.target.value)) })} className={input} />
+          </label>
+          <button onClick={() => remove(c.id)} aria-label="Remove rate change" className="p-2 hover:text-red-500"><X className="w-4 h-4" /></button>
+        </div>
+      ))}
+      <button onClick={add} className={`flex items-center px-3 py-1 rounded-lg ${darkMode ? 'bg-blue-800 hover:bg-blue-700' : 'bg-blue-100 hover:bg-blue-200'}`}><Plus className="w-4 h-4 mr-1" />rate change</button>
+      <div className={`grid grid-cols-2 md:grid-cols-5 gap-2 items-end mt-3 p-3 rounded-lg border ${darkMode ? 'border-gray-600' : 'border-gray-200'}`}>
+        <label className="text-sm">Change (bps)
+          <input type="number" step="5" value={generator.bps} onChange={e => setGenerator(g => ({ ...g, bps: e.target.value }))} className={input} />
+        </label>
+        <label className="text-sm">Every (periods)
+          <input type="number" min="1" value={generator.every} onChange={e => setGenerator(g => ({ ...g, every: e.target.value }))} className={input} />
+        </label>
+        <label className="text-sm">From period
+          <input type="number" min="2" value={generator.from} onChange={e => setGenerator(g => ({ ...g, from: e.target.value }))} className={input} />
+        </label>
+        <label className="text-sm">{parseFloat(generator.bps) < 0 ? 'Floor' : 'Cap'} (%)
+          <input type="number" min="0" step="0.05" value={generator.cap} onChange={e => setGenerator(g => ({ ...g, cap: e.target.value }))} className={input} />
+        </label>
+        <button onClick={generate} className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Generate</button>
+        <div className="col-span-2 md:col-span-5 text-xs text-gray-500 dark:text-gray-400">Generating replaces the rate changes from period {Math.max(2, parseInt(generator.from, 10) || 2)} onwards.</div>
+      </div>
+    </div>
+  );
+}
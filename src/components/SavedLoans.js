@@ -0,0 +1,27 @@
+import { Save, X } from 'lucide-react';
+
+export function SavedLoans({ darkMode, loans, name, onNameChange, onSave, onLoad, onDelete }) {
+  const exists = loans.some(l => l.name === name.trim());
+
+  return (
+    <div className={`mb-6 p-3 rounded-lg border ${darkMode ? 'border-gray-600' : 'border-gray-200'}`}>
+      <div className="flex flex-wrap items-end gap-2">
+        <label className="text-sm flex-1">Loan name
+          <input type="text" value={name} onChange={e => onNameChange(e.target.value)} placeholder="e.g. Home loan" className={`p-2 border rounded-lg w-full ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`} />
+        </label>
+        <button onClick={onSave} disabled={!name.trim()} className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"><Save className="w-4 h-4 mr-2" />{exists ? 'Update saved loan' : 'Save loan'}</button>
+      </div>
+      {loans.length === 0 ? <div className="text-sm text-gray-500 dark:text-gray-400 mt-2">Save each of your loans to plan paying them off together.</div> : (
+        <div className="flex flex-wrap items-center gap-2 mt-3">
+          <span className="text-sm text-gray-500 dark:text-gray-400">Saved loans:</span>
+          {loans.map(l => (
+            <div key={l.id} className={`flex items-center rounded-full border transition-colors ${l.name === name.trim() ? 'border-indigo-600' : darkMode ? 'border-gray-600 hover:bg-gray-700' : 'border-gray-300 hover:bg-gray-100'}`}>
+              <button onClick={() => onLoad(l.id)} className="px-4 py-1" title={`Load ${l.name}`}>{l.name}</button>
+              <button onClick={() => onDelete(l.id)} className="pr-3" aria-label={`Delete ${l.name}`}><X className="w-4 h-4" /></button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import { monthsBetween, parseDate } from '../engine';
+
+const formatMonths = months => {
+  const years = Math.floor(Math.abs(months) / 12);
+  const rest = Math.abs(months) % 12;
+  return [years && `${years} yr${years > 1 ? 's' : ''}`, rest && `${rest} mo${rest > 1 ? 's' : ''}`].filter(Boolean).join(' ') || 'same month';
+};
+
+export function ScenarioComparison({ darkMode, results, baselineId, fmt, fmtDate, unit }) {
+  const baseline = results.find(r => r.scenario.id === baselineId);
+  if (!baseline || results.length < 2) return null;
+  const hasFees = results.some(r => r.summary.totalFees > 0);
+  const cell = `border px-3 py-2 ${darkMode ? 'border-gray-600' : 'border-gray-300'}`;
+
+  return (
+    <div className="overflow-auto mb-6">
+      <h3 className="text-lg font-semibold mb-2">Scenario comparison vs. {baseline.scenario.name}</h3>
+      <table className={`min-w-full table-auto border-collapse transition-colors ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+        <thead className={`${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+          <tr>
+            {['Scenario', 'Total Interest', 'Interest Saved', ...(hasFees ? ['Fees', 'Net Saved'] : []), `${unit[0].toUpperCase()}${unit.slice(1)} Saved`, 'Payoff Date', 'Payoff Delta'].map(h => (
+              <th key={h} className={`${cell} text-left`}>{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {results.map(r => {
+            const isBaseline = r.scenario.id === baselineId;
+            const dateDelta = monthsBetween(parseDate(r.summary.payoffDate), parseDate(baseline.summary.payoffDate));
+            return (
+              <tr key={r.scenario.id} className={`${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-50'}`}>
+                <td className={cell}>{r.scenario.name}</td>
+                <td className={cell}>{fmt(r.summary.totalInterest)}</td>
+                <td className={cell}>{isBaseline ? '—' : fmt(baseline.summary.totalInterest - r.summary.totalInterest)}</td>
+                {hasFees && <td className={cell}>{fmt(r.summary.totalFees)}</td>}
+                {hasFees && <td className={cell}>{isBaseline ? '—' : fmt(baseline.summary.totalCost - r.summary.totalCost)}</td>}
+                <td className={cell}>{isBaseline ? '—' : baseline.summary.payoffPeriods - r.summary.payoffPeriods}</td>
+                <td className={cell}>{fmtDate(r.summary.payoffDate)}</td>
+                <td className={cell}>{isBaseline ? '—' : `${formatMonths(dateDelta)} ${dateDelta > 0 ? 'earlier' : dateDelta < 0 ? 'later' : ''}`.trim()}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
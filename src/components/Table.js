@@ -1,10 +1,10 @@
-export function Table({darkMode, scheduleData, fmt}) {
+export function Table({darkMode, scheduleData, fmt, fmtDate}) {
   return (
     <div className="overflow-auto">
       <table className={`min-w-full table-auto border-collapse mb-6 transition-colors ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
         <thead className={`${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
           <tr>
-            {['Period', 'Interest', 'Cumulative Interest', 'Balance'].map(h => (
+            {['Period', 'Due Date', 'Rate', 'EMI', 'Interest', 'Extra Paid', 'Fees', 'Cumulative Interest', 'Balance'].map(h => (
               <th key={h} className={`border px-3 py-2 text-left ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>{h}</th>
             ))}
           </tr>
@@ -13,7 +13,12 @@ export function Table({darkMode, scheduleData, fmt}) {
           {scheduleData.map(r => (
             <tr key={r.period} className={`${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-50'}`}>
               <td className={`border px-3 py-1 ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>{r.period}</td>
+              <td className={`border px-3 py-1 whitespace-nowrap ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>{fmtDate(r.date)}</td>
+              <td className={`border px-3 py-1 ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>{r.rate}%</td>
+              <td className={`border px-3 py-1 ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>{fmt(r.emi)}</td>
               <td className={`border px-3 py-1 ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>{fmt(r.interest)}</td>
+              <td className={`border px-3 py-1 ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>{r.extra ? fmt(r.extra) : '—'}</td>
+              <td className={`border px-3 py-1 ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>{r.fees ? fmt(r.fees) : '—'}</td>
               <td className={`border px-3 py-1 ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>{fmt(r.cumInterest)}</td>
               <td className={`border px-3 py-1 ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>{fmt(r.balance)}</td>
             </tr>
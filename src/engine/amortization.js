@@ -0,0 +1,272 @@
+import { addPeriods, formatISODate, nextMonthISO, parseDate, yearFraction } from './dates';
+import { int, num } from './parse';
+
+export const freqMap = { weekly: 52, biweekly: 26, monthly: 12, '6-months': 2, yearly: 1 };
+export const compoundingMap = { 'per-payment': null, daily: 365, monthly: 12, quarterly: 4, 'semi-annual': 2, yearly: 1 };
+export const PERIOD_CAP = 500;
+
+export const upfrontPrepayment = (events = []) => events
+  .filter(ev => ev.type === 'one-time' && int(ev.period) === 0)
+  .reduce((sum, ev) => sum + num(ev.amount), 0);
+
+// Extra accrued over `years` at `annualRate` % compounded `timesPerYear` a year. Without a compounding
+// frequency interest accrues simply and is only capitalized when an installment falls due.
+export function growthRate(annualRate, years, timesPerYear) {
+  const rate = annualRate / 100;
+  if (!timesPerYear) return rate * years;
+  return Math.pow(1 + rate / timesPerYear, timesPerYear * years) - 1;
+}
+
+// Interest rate per installment of `freq` under a compounding setting.
+export function periodicRate(annualRate, freq, compounding = 'per-payment') {
+  return growthRate(annualRate, 1 / freqMap[freq], compoundingMap[compounding]);
+}
+
+// Dated prepayments, soonest first. Upfront lump sums fall on `dueDate(0)`, one-offs on their
+// installment's due date, and recurring extras step through their own frequency from the due date of
+// their first installment. A pause or an end period covers everything up to that installment's due date.
+function expandPrepayments(events, dueDate, lastPeriod) {
+  const horizon = dueDate(lastPeriod).getTime();
+  const endOf = ev => ev.end === '' || ev.end == null ? horizon : Math.min(horizon, dueDate(int(ev.end)).getTime());
+  const pauses = events.filter(ev => ev.type === 'pause').map(ev => [dueDate((int(ev.start) || 1) - 1).getTime(), endOf(ev)]);
+  const payments = [];
+  events.forEach(ev => {
+    const amount = num(ev.amount);
+    if (amount <= 0) return;
+    if (ev.type === 'one-time') {
+      if (int(ev.period) <= lastPeriod) payments.push({ time: dueDate(int(ev.period)).getTime(), amount });
+      return;
+    }
+    if (ev.type !== 'recurring' || !freqMap[ev.freq]) return;
+    const first = dueDate(Math.max(1, int(ev.start) || 1));
+    const end = endOf(ev);
+    for (let j = 0; ; j++) {
+      const time = addPeriods(first, j, ev.freq).getTime();
+      if (time > end) break;
+      payments.push({ time, amount: amount * Math.pow(1 + num(ev.stepUp) / 100, Math.floor(j / freqMap[ev.freq])) });
+    }
+  });
+  return payments
+    .filter(x => !pauses.some(([from, to]) => x.time > from && x.time <= to))
+    .sort((a, b) => a.time - b.time);
+}
+
+export function annuityPayment(principal, ratePerPeriod, periods) {
+  if (periods <= 0) return 0;
+  if (ratePerPeriod === 0) return principal / periods;
+  const factor = Math.pow(1 + ratePerPeriod, periods);
+  return (principal * ratePerPeriod * factor) / (factor - 1);
+}
+
+// Fractional number of installments that clears `principal`, or Infinity when the payment never covers interest.
+// Schedules track this rather than the whole count so re-amortizing never spreads a short final installment.
+function annuityPeriods(principal, ratePerPeriod, payment) {
+  if (principal <= 0) return 0;
+  if (ratePerPeriod === 0) return payment > 0 ? principal / payment : Infinity;
+  if (payment <= principal * ratePerPeriod) return Infinity;
+  return -Math.log(1 - ratePerPeriod * principal / payment) / Math.log(1 + ratePerPeriod);
+}
+
+// Number of installments needed to clear `principal`, or Infinity when the payment never covers interest.
+export function annuityTenure(principal, ratePerPeriod, payment) {
+  return Math.ceil(annuityPeriods(principal, ratePerPeriod, payment) - 1e-9);
+}
+
+// Charges on a prepayment of `amount` in `period`: every rule whose window (`from` to `until`, '' for
+// no end, e.g. a lock-in) covers the period adds its percentage of the amount or its flat fee.
+function prepaymentCharge(rules, amount, period) {
+  if (amount <= 0) return 0;
+  return rules
+    .filter(r => period >= (int(r.from) || 1) && (r.until === '' || r.until == null || period <= int(r.until)))
+    .reduce((sum, r) => sum + (r.type === 'percent' ? amount * num(r.value) / 100 : num(r.value)), 0);
+}
+
+// Per-period internal rate of return of `flows` (flows[p] at period p, the first one received), or null
+// when the flows do not describe a loan being repaid.
+export function periodicIrr(flows, tolerance = 1e-10) {
+  if (!(flows[0] > 0) || !flows.slice(1).some(f => f < 0)) return null;
+  const npv = rate => flows.reduce((sum, f, p) => sum + f / Math.pow(1 + rate, p), 0);
+  let low = -0.99;
+  let high = 1;
+  while (npv(high) < 0) {
+    high *= 2;
+    if (high > 1e3) return null;
+  }
+  if (npv(low) > 0) return null;
+  while (high - low > tolerance) {
+    const mid = (low + high) / 2;
+    if (npv(mid) < 0) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+// Annual rate (%) in force during `period`: the latest timeline entry starting at or before it.
+export function rateForPeriod(rateChanges = [], annualRate, period) {
+  return rateChanges
+    .filter(c => c.period !== '' && int(c.period) <= period)
+    .reduce((current, c) => int(c.period) >= current.period ? { period: int(c.period), rate: num(c.rate) } : current, { period: 0, rate: num(annualRate) })
+    .rate;
+}
+
+/**
+ * Builds the amortization schedule for one loan.
+ *
+ * `emi` is the installment due every `freq` period, interest compounds per `compounding`, and each
+ * prepayment follows its own frequency: extras that land between due dates cut the principal from
+ * their own date, so the schedule is as fine-grained as the plan needs while still reporting one row
+ * per installment. In 'emi' prepay mode every prepayment keeps the scheduled payoff date and lowers
+ * the installment instead. On a rate reset 'keep-emi' stretches the tenure while 'reset-emi'
+ * re-amortizes over what is left of it. Installment `period` falls due `period - 1` periods after
+ * `startDate`; period 1's interest runs from one period before it.
+ *
+ * `fees` add cash costs without touching the balance: `upfront` fees (a percentage of `original` or
+ * flat) are reported with period 1, `recurring` charges fall due on their own frequency while the loan
+ * is open, and `prepayment` rules charge each prepayment. The summary's `apr` is the annualized
+ * internal rate of return of everything paid against the principal received net of upfront costs.
+ * `totalPaid` counts fees along with installments and prepayments.
+ *
+ * @returns {{ rows: object[], summary: object }}
+ */
+export function simulateLoan({
+  remaining,
+  emi,
+  annualRate,
+  freq = 'monthly',
+  compounding = 'per-payment',
+  events = [],
+  rateChanges = [],
+  prepayMode = 'tenure',
+  resetPolicy = 'keep-emi',
+  startDate,
+  dayCount = 'periodic',
+  original,
+  fees = {},
+  periodCap = PERIOD_CAP,
+}) {
+  const periodsPerYear = freqMap[freq];
+  if (!periodsPerYear) throw new Error(`Unknown payment frequency "${freq}"`);
+  if (!(compounding in compoundingMap)) throw new Error(`Unknown compounding frequency "${compounding}"`);
+  const timesPerYear = compoundingMap[compounding];
+  const firstDue = parseDate(startDate) || parseDate(nextMonthISO());
+  const dueDate = p => addPeriods(firstDue, p - 1, freq);
+  const payments = expandPrepayments(events, dueDate, periodCap);
+  const charges = expandPrepayments((fees.recurring || []).map(c => ({ ...c, type: 'recurring' })), dueDate, periodCap);
+  const penaltyRules = fees.prepayment || [];
+  const upfrontFees = (fees.upfront || []).reduce((sum, f) => sum + (f.type === 'percent' ? (num(original) || num(remaining)) * num(f.value) / 100 : num(f.value)), 0);
+  let cursor = 0;
+  let chargeCursor = 0;
+  let upfront = 0;
+  let upfrontPenalty = 0;
+  let balance = Math.max(0, num(remaining));
+  while (cursor < payments.length && payments[cursor].time <= dueDate(0).getTime()) {
+    const paid = Math.min(payments[cursor++].amount, balance);
+    balance -= paid;
+    upfront += paid;
+    upfrontPenalty += prepaymentCharge(penaltyRules, paid, 1);
+  }
+  const rateAt = p => rateForPeriod(rateChanges, annualRate, p);
+  const rows = [];
+  let period = 0;
+  let cumInterest = 0;
+  let totalPenalties = upfrontPenalty;
+  let tenure = annuityPeriods(num(remaining), periodicRate(rateAt(1), freq, compounding), num(emi));
+  const reduceEmi = () => prepayMode === 'emi' && Number.isFinite(tenure);
+  let installment = reduceEmi() && upfront > 0 ? annuityPayment(balance, periodicRate(rateAt(1), freq, compounding), tenure) : num(emi);
+
+  while (balance > 0 && period < periodCap) {
+    period++;
+    const rate = rateAt(period);
+    const ratePerPeriod = periodicRate(rate, freq, compounding);
+    const reset = period > 1 && rate !== rateAt(period - 1);
+    if (reset) {
+      if (resetPolicy === 'reset-emi' && Number.isFinite(tenure) && tenure >= period) installment = annuityPayment(balance, ratePerPeriod, tenure - period + 1);
+      else tenure = period - 1 + annuityPeriods(balance, ratePerPeriod, installment);
+    }
+    const from = dueDate(period - 1);
+    const date = dueDate(period);
+    const growth = (a, b) => growthRate(rate, dayCount === 'periodic' ? (b - a) / (date - from) / periodsPerYear : yearFraction(a, b, dayCount), timesPerYear);
+    let interest = 0;
+    let extra = 0;
+    let penalty = 0;
+    let accruedTo = from;
+    while (cursor < payments.length && payments[cursor].time < date.getTime()) {
+      const at = new Date(payments[cursor].time);
+      interest += balance * growth(accruedTo, at);
+      accruedTo = at;
+      const paid = Math.min(payments[cursor++].amount, balance);
+      balance -= paid;
+      extra += paid;
+      penalty += prepaymentCharge(penaltyRules, paid, period);
+    }
+    interest += balance * growth(accruedTo, date);
+    let dueExtra = 0;
+    while (cursor < payments.length && payments[cursor].time === date.getTime()) dueExtra += payments[cursor++].amount;
+    const regular = Math.min(installment, balance + interest);
+    dueExtra = Math.min(dueExtra, balance + interest - regular);
+    extra += dueExtra;
+    penalty += prepaymentCharge(penaltyRules, dueExtra, period);
+    balance += interest - regular - dueExtra;
+    let charge = 0;
+    while (chargeCursor < charges.length && charges[chargeCursor].time <= date.getTime()) charge += charges[chargeCursor++].amount;
+    totalPenalties += penalty;
+    // Sub-paisa remainders are rounding noise, not another installment.
+    if (balance < 0.005) balance = 0;
+    cumInterest += interest;
+    // Lump sums and fees paid before the first installment are reported with period 1.
+    const extraPaid = extra + (period === 1 ? upfront : 0);
+    const feesPaid = charge + penalty + (period === 1 ? upfrontFees + upfrontPenalty : 0);
+    rows.push({
+      period,
+      date: formatISODate(date),
+      rate,
+      reset,
+      emi: +installment.toFixed(2),
+      payment: +regular.toFixed(2),
+      principal: +(regular + extraPaid - interest).toFixed(2),
+      interest: +interest.toFixed(2),
+      extra: +extraPaid.toFixed(2),
+      fees: +feesPaid.toFixed(2),
+      cumInterest: +cumInterest.toFixed(2),
+      balance: +balance.toFixed(2),
+    });
+    if (balance <= 0) break;
+    if (reduceEmi() && extra > 0 && tenure > period) installment = annuityPayment(balance, ratePerPeriod, tenure - period);
+    // In 'tenure' mode prepayments move the payoff date forward, so a later 'reset-emi' re-amortizes over the shorter term.
+    else if (prepayMode !== 'emi' && extraPaid > 0) tenure = period + annuityPeriods(balance, ratePerPeriod, installment);
+  }
+
+  const upfrontCosts = { upfront, fees: upfrontFees + upfrontPenalty };
+  return { rows, summary: summarize(rows, { balance, firstDue, upfrontCosts, remaining: num(remaining), totalPenalties, periodsPerYear }) };
+}
+
+function summarize(rows, { balance, firstDue, upfrontCosts, remaining, totalPenalties, periodsPerYear }) {
+  const last = rows[rows.length - 1];
+  const totalInterest = rows.reduce((sum, r) => sum + r.interest, 0);
+  const totalExtra = rows.reduce((sum, r) => sum + r.extra, 0) + (rows.length ? 0 : upfrontCosts.upfront);
+  const totalFees = rows.reduce((sum, r) => sum + r.fees, 0) + (rows.length ? 0 : upfrontCosts.fees);
+  const totalPaid = rows.reduce((sum, r) => sum + r.payment, 0) + totalExtra + totalFees;
+  // Upfront payments go against the amount received; whatever the cap leaves unpaid is settled at the end.
+  const flows = [
+    remaining - upfrontCosts.upfront - upfrontCosts.fees,
+    ...rows.map((r, i) => -(r.payment + r.extra + r.fees) + (i === 0 ? upfrontCosts.upfront + upfrontCosts.fees : 0)),
+  ];
+  if (rows.length && balance > 0) flows[flows.length - 1] -= balance;
+  const irr = periodicIrr(flows);
+  return {
+    payoffPeriods: rows.length,
+    payoffDate: last ? last.date : formatISODate(firstDue),
+    totalInterest: +totalInterest.toFixed(2),
+    totalExtra: +totalExtra.toFixed(2),
+    totalFees: +totalFees.toFixed(2),
+    totalPenalties: +totalPenalties.toFixed(2),
+    totalCost: +(totalInterest + totalFees).toFixed(2),
+    totalPaid: +totalPaid.toFixed(2),
+    apr: irr === null ? null : irr * periodsPerYear * 100,
+    effectiveRate: irr === null ? null : (Math.pow(1 + irr, periodsPerYear) - 1) * 100,
+    finalEmi: last ? last.emi : 0,
+    closed: balance <= 0,
+    negativeAmortization: rows.some(r => r.principal < 0),
+    remainingBalance: +Math.max(0, balance).toFixed(2),
+  };
+}
@@ -0,0 +1,169 @@
+import { simulateLoan, freqMap, periodicIrr, periodicRate, PERIOD_CAP } from './amortization';
+
+const loan = { remaining: 100000, emi: 10000, annualRate: 12, startDate: '2025-01-15' };
+
+test('amortizes a standard loan to zero', () => {
+  const { rows, summary } = simulateLoan(loan);
+  expect(rows[0]).toMatchObject({ period: 1, date: '2025-01-15', interest: 1000, payment: 10000, principal: 9000, balance: 91000 });
+  expect(summary.payoffPeriods).toBe(11);
+  expect(summary.closed).toBe(true);
+  expect(rows[rows.length - 1].balance).toBe(0);
+  expect(summary.totalPaid).toBeCloseTo(loan.remaining + summary.totalInterest, 1);
+});
+
+test('zero-rate loans repay principal only', () => {
+  const { rows, summary } = simulateLoan({ ...loan, annualRate: 0, emi: 30000 });
+  expect(summary.totalInterest).toBe(0);
+  expect(rows.map(r => r.payment)).toEqual([30000, 30000, 30000, 10000]);
+});
+
+test('caps the final payment at the outstanding balance', () => {
+  const { rows, summary } = simulateLoan({ ...loan, emi: 500000 });
+  expect(rows).toHaveLength(1);
+  expect(rows[0].payment).toBe(101000);
+  expect(summary.totalPaid).toBe(101000);
+});
+
+test('caps extra payments at the outstanding balance', () => {
+  const events = [{ type: 'one-time', amount: 1e6, period: 2 }];
+  const { rows } = simulateLoan({ ...loan, events });
+  expect(rows).toHaveLength(2);
+  expect(rows[1].extra).toBe(81910);
+  expect(rows[1].balance).toBe(0);
+});
+
+test('flags negative amortization and stops at the period cap', () => {
+  const { rows, summary } = simulateLoan({ ...loan, emi: 500 });
+  expect(rows).toHaveLength(PERIOD_CAP);
+  expect(rows[1].balance).toBeGreaterThan(rows[0].balance);
+  expect(summary).toMatchObject({ closed: false, negativeAmortization: true });
+  expect(summary.remainingBalance).toBeGreaterThan(loan.remaining);
+});
+
+test('honours a custom period cap', () => {
+  expect(simulateLoan({ ...loan, periodCap: 3 }).rows).toHaveLength(3);
+});
+
+test.each(Object.entries(freqMap))('%s installments accrue %i periods of interest a year', (freq, periodsPerYear) => {
+  const emi = 240000 / periodsPerYear;
+  const { rows, summary } = simulateLoan({ ...loan, remaining: 1000000, emi, freq });
+  expect(rows[0].payment).toBeCloseTo(emi, 2);
+  expect(rows[0].interest).toBeCloseTo(1000000 * 0.12 / periodsPerYear, 2);
+  expect(summary.closed).toBe(true);
+  expect(summary.payoffPeriods / periodsPerYear).toBeGreaterThan(4);
+  expect(summary.payoffPeriods / periodsPerYear).toBeLessThan(8);
+});
+
+test('rejects unknown frequencies', () => {
+  expect(() => simulateLoan({ ...loan, freq: 'daily' })).toThrow('Unknown payment frequency "daily"');
+  expect(() => simulateLoan({ ...loan, compounding: 'hourly' })).toThrow('Unknown compounding frequency "hourly"');
+});
+
+test('compounding is independent of the installment frequency', () => {
+  const canadian = simulateLoan({ ...loan, compounding: 'semi-annual' }).rows[0];
+  expect(canadian.interest).toBeCloseTo(100000 * (Math.pow(1.06, 1 / 6) - 1), 2);
+  const daily = simulateLoan({ ...loan, compounding: 'daily' }).rows[0];
+  expect(daily.interest).toBeCloseTo(100000 * (Math.pow(1 + 0.12 / 365, 365 / 12) - 1), 2);
+  expect(periodicRate(12, 'monthly', 'monthly')).toBeCloseTo(0.01, 12);
+});
+
+test('prepayment frequency does not change the installment schedule', () => {
+  const events = [{ type: 'recurring', amount: 250, freq: 'weekly', start: 1, end: '', stepUp: 0 }];
+  const { rows } = simulateLoan({ ...loan, remaining: 1000000, events });
+  expect(rows.every(r => r.emi === 10000)).toBe(true);
+  expect(rows.slice(0, 3).map(r => r.date)).toEqual(['2025-01-15', '2025-02-15', '2025-03-15']);
+  // The first weekly extra falls on the first due date, the next four before the second one.
+  expect(rows.slice(0, 2).map(r => r.extra)).toEqual([250, 1000]);
+});
+
+test('extras paid between due dates save interest from their own date', () => {
+  const weekly = simulateLoan({ ...loan, remaining: 1000000, events: [{ type: 'recurring', amount: 1000, freq: 'weekly', start: 1, end: 2, stepUp: 0 }] });
+  const lump = simulateLoan({ ...loan, remaining: 1000000, events: [{ type: 'one-time', amount: 4000, period: 2 }] });
+  expect(weekly.rows[1].extra).toBe(lump.rows[1].extra);
+  expect(weekly.rows[1].interest).toBeLessThan(lump.rows[1].interest);
+});
+
+test('applies upfront, dated, recurring and paused prepayments', () => {
+  const events = [
+    { type: 'one-time', amount: 5000, period: 0 },
+    { type: 'recurring', amount: 1000, freq: 'monthly', start: 2, end: '', stepUp: 0 },
+    { type: 'pause', start: 4, end: 5 },
+  ];
+  const { rows } = simulateLoan({ ...loan, emi: 5000, events });
+  expect(rows.slice(0, 6).map(r => r.extra)).toEqual([5000, 1000, 1000, 0, 0, 1000]);
+  expect(rows[0].interest).toBe(950);
+});
+
+test('steps up recurring prepayments every year', () => {
+  const events = [{ type: 'recurring', amount: 1000, freq: 'yearly', start: 1, end: '', stepUp: 10 }];
+  const { rows } = simulateLoan({ ...loan, remaining: 1000000, events });
+  expect(rows.filter(r => r.extra > 0).slice(0, 3).map(r => [r.period, r.extra])).toEqual([[1, 1000], [13, 1100], [25, 1210]]);
+});
+
+test('reduce-EMI mode keeps the tenure and lowers the installment', () => {
+  const events = [{ type: 'one-time', amount: 20000, period: 3 }];
+  const tenure = simulateLoan({ ...loan, events });
+  const emi = simulateLoan({ ...loan, events, prepayMode: 'emi' });
+  expect(emi.summary.payoffPeriods).toBe(simulateLoan(loan).summary.payoffPeriods);
+  expect(emi.rows[3].emi).toBeLessThan(emi.rows[2].emi);
+  expect(tenure.summary.payoffPeriods).toBeLessThan(emi.summary.payoffPeriods);
+  expect(tenure.summary.totalInterest).toBeLessThan(emi.summary.totalInterest);
+});
+
+test('rate resets either stretch the tenure or reset the EMI', () => {
+  const rateChanges = [{ period: 4, rate: 18 }];
+  const kept = simulateLoan({ ...loan, rateChanges });
+  const reset = simulateLoan({ ...loan, rateChanges, resetPolicy: 'reset-emi' });
+  expect(kept.rows[3]).toMatchObject({ rate: 18, reset: true, emi: 10000 });
+  expect(reset.rows[3].emi).toBeGreaterThan(10000);
+  expect(reset.summary.payoffPeriods).toBe(simulateLoan(loan).summary.payoffPeriods);
+  expect(kept.summary.payoffPeriods).toBeGreaterThanOrEqual(reset.summary.payoffPeriods);
+});
+
+test('reset-emi re-amortizes over the term left after tenure-reducing prepayments', () => {
+  const plan = { remaining: 1000000, emi: 20000, annualRate: 12, startDate: '2025-01-05', events: [{ type: 'one-time', amount: 400000, period: 3 }] };
+  const prepaid = simulateLoan(plan).summary.payoffPeriods;
+  const reset = simulateLoan({ ...plan, rateChanges: [{ period: 10, rate: 13 }], resetPolicy: 'reset-emi' });
+  expect(reset.rows[9].emi).toBeGreaterThanOrEqual(20000);
+  expect(reset.summary.payoffPeriods).toBeLessThanOrEqual(prepaid);
+});
+
+test('accrues interest by day count between due dates', () => {
+  const { rows } = simulateLoan({ ...loan, startDate: '2025-03-01', dayCount: 'act/365' });
+  expect(rows[0].interest).toBeCloseTo(100000 * 0.12 * 28 / 365, 2);
+  expect(simulateLoan({ ...loan, dayCount: '30/360' }).rows[0].interest).toBe(1000);
+});
+
+test('reports fees and charges without touching the balance', () => {
+  const fees = {
+    upfront: [{ type: 'percent', value: 1 }, { type: 'flat', value: 500 }],
+    recurring: [{ amount: 300, freq: 'yearly', start: 1, end: '' }],
+  };
+  const plain = simulateLoan(loan);
+  const { rows, summary } = simulateLoan({ ...loan, original: 200000, fees });
+  expect(rows.map(r => r.balance)).toEqual(plain.rows.map(r => r.balance));
+  expect(rows[0].fees).toBe(2000 + 500 + 300);
+  expect(rows.slice(1).every(r => r.fees === 0)).toBe(true);
+  expect(summary).toMatchObject({ totalFees: 2800, totalPenalties: 0, totalPaid: plain.summary.totalPaid + 2800 });
+  expect(summary.totalCost).toBeCloseTo(plain.summary.totalInterest + 2800, 2);
+});
+
+test('charges prepayments by penalty rules and lock-in windows', () => {
+  const fees = { prepayment: [{ type: 'percent', value: 2, from: 1, until: 6 }, { type: 'flat', value: 100, from: 1, until: '' }] };
+  const events = [{ type: 'one-time', amount: 20000, period: 3 }, { type: 'one-time', amount: 10000, period: 8 }, { type: 'one-time', amount: 5000, period: 0 }];
+  const { rows, summary } = simulateLoan({ ...loan, emi: 5000, events, fees });
+  expect(rows[0].fees).toBe(100 + 100);
+  expect(rows[2].fees).toBe(400 + 100);
+  expect(rows[7].fees).toBe(100);
+  expect(summary.totalPenalties).toBe(800);
+});
+
+test('the effective APR matches the rate without fees and rises with them', () => {
+  const plain = simulateLoan(loan).summary;
+  expect(plain.apr).toBeCloseTo(12, 4);
+  expect(plain.effectiveRate).toBeCloseTo((Math.pow(1.01, 12) - 1) * 100, 4);
+  const charged = simulateLoan({ ...loan, fees: { upfront: [{ type: 'percent', value: 2 }] } }).summary;
+  expect(charged.apr).toBeGreaterThan(13);
+  expect(periodicIrr([100, -50, -50])).toBeCloseTo(0, 9);
+  expect(periodicIrr([-100, 50])).toBeNull();
+});
@@ -0,0 +1,25 @@
+import { simulateLoan } from './amortization';
+
+/**
+ * What each prepayment in `loan.events` is worth given the rest of the plan: the interest and fees the
+ * loan would cost without it, less what it costs with it. `penalties` are the prepayment charges the
+ * event itself triggers and `feesSaved` the other charges (such as insurance) avoided by closing sooner.
+ * Pauses are left out; they change when other prepayments land rather than paying anything themselves.
+ */
+export function prepaymentBenefits(loan) {
+  const events = loan.events || [];
+  const { summary } = simulateLoan(loan);
+  return events.flatMap((ev, i) => {
+    if (ev.type === 'pause') return [];
+    const without = simulateLoan({ ...loan, events: events.filter((_, j) => j !== i) }).summary;
+    const otherFees = s => s.totalFees - s.totalPenalties;
+    return [{
+      id: ev.id,
+      event: ev,
+      interestSaved: +(without.totalInterest - summary.totalInterest).toFixed(2),
+      penalties: +(summary.totalPenalties - without.totalPenalties).toFixed(2),
+      feesSaved: +(otherFees(without) - otherFees(summary)).toFixed(2),
+      netBenefit: +(without.totalCost - summary.totalCost).toFixed(2),
+    }];
+  });
+}
@@ -0,0 +1,28 @@
+import { prepaymentBenefits } from './costs';
+
+const loan = { remaining: 1000000, emi: 15000, annualRate: 10, startDate: '2025-01-15' };
+const events = [
+  { id: 'early', type: 'one-time', amount: 100000, period: 6 },
+  { id: 'late', type: 'one-time', amount: 100000, period: 40 },
+  { id: 'pause', type: 'pause', start: 1, end: 3 },
+];
+
+test('values each prepayment against the plan without it', () => {
+  const [early, late] = prepaymentBenefits({ ...loan, events });
+  expect(early.id).toBe('early');
+  expect(early.interestSaved).toBeGreaterThan(late.interestSaved);
+  expect(early.netBenefit).toBe(early.interestSaved);
+  expect(prepaymentBenefits({ ...loan, events })).toHaveLength(2);
+});
+
+test('nets out penalties and the recurring charges a sooner payoff avoids', () => {
+  const fees = {
+    prepayment: [{ type: 'percent', value: 4, from: 1, until: 12 }],
+    recurring: [{ amount: 2000, freq: 'yearly', start: 1, end: '' }],
+  };
+  const [early, late] = prepaymentBenefits({ ...loan, events, fees });
+  expect(early.penalties).toBe(4000);
+  expect(late.penalties).toBe(0);
+  expect(early.feesSaved).toBeGreaterThan(0);
+  expect(early.netBenefit).toBeCloseTo(early.interestSaved - early.penalties + early.feesSaved, 2);
+});
@@ -0,0 +1,58 @@
+// Dates are handled as UTC midnights and exchanged as 'YYYY-MM-DD' strings so that
+// schedules do not shift by a day with the viewer's time zone.
+
+const DAY = 24 * 60 * 60 * 1000;
+const monthsPerPeriod = { monthly: 1, '6-months': 6, yearly: 12 };
+const daysPerPeriod = { weekly: 7, biweekly: 14 };
+
+export const dayCounts = {
+  periodic: 'Rate ÷ periods per year',
+  'act/365': 'Actual/365',
+  '30/360': '30/360',
+  'act/act': 'Actual/Actual',
+};
+
+export function parseDate(value) {
+  const [y, m, d] = String(value).split('-').map(Number);
+  if (!y || !m || !d) return null;
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+export const formatISODate = date => date.toISOString().slice(0, 10);
+
+export function nextMonthISO(from = new Date()) {
+  return formatISODate(new Date(Date.UTC(from.getFullYear(), from.getMonth() + 1, 1)));
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+const isLeap = year => new Date(Date.UTC(year, 1, 29)).getUTCMonth() === 1;
+
+// Month-based steps are always taken from the anchor so a 31st keeps landing on month ends.
+export function addPeriods(date, periods, freq) {
+  if (daysPerPeriod[freq]) return new Date(date.getTime() + daysPerPeriod[freq] * periods * DAY);
+  const months = date.getUTCMonth() + periods * monthsPerPeriod[freq];
+  const year = date.getUTCFullYear() + Math.floor(months / 12);
+  const month = ((months % 12) + 12) % 12;
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), daysInMonth(year, month))));
+}
+
+export function monthsBetween(from, to) {
+  return (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+}
+
+// Fraction of a year between two dates under a calendar day-count convention ('act/365', '30/360', 'act/act').
+export function yearFraction(from, to, convention) {
+  if (convention === 'act/365') return (to - from) / DAY / 365;
+  if (convention === '30/360') {
+    const d1 = Math.min(from.getUTCDate(), 30);
+    const d2 = d1 === 30 ? Math.min(to.getUTCDate(), 30) : to.getUTCDate();
+    return ((to.getUTCFullYear() - from.getUTCFullYear()) * 360 + (to.getUTCMonth() - from.getUTCMonth()) * 30 + d2 - d1) / 360;
+  }
+  let fraction = 0;
+  for (let year = from.getUTCFullYear(); year <= to.getUTCFullYear(); year++) {
+    const start = Math.max(from.getTime(), Date.UTC(year, 0, 1));
+    const end = Math.min(to.getTime(), Date.UTC(year + 1, 0, 1));
+    if (end > start) fraction += (end - start) / DAY / (isLeap(year) ? 366 : 365);
+  }
+  return fraction;
+}
@@ -0,0 +1,23 @@
+import { addPeriods, parseDate, formatISODate, yearFraction } from './dates';
+
+test('month steps clamp to month ends from the anchor date', () => {
+  const jan31 = parseDate('2024-01-31');
+  expect(formatISODate(addPeriods(jan31, 1, 'monthly'))).toBe('2024-02-29');
+  expect(formatISODate(addPeriods(jan31, 2, 'monthly'))).toBe('2024-03-31');
+  expect(formatISODate(addPeriods(jan31, -1, 'monthly'))).toBe('2023-12-31');
+  expect(formatISODate(addPeriods(jan31, 1, '6-months'))).toBe('2024-07-31');
+  expect(formatISODate(addPeriods(jan31, 2, 'biweekly'))).toBe('2024-02-28');
+});
+
+test('day-count conventions', () => {
+  const from = parseDate('2023-12-31');
+  const to = parseDate('2024-01-31');
+  expect(yearFraction(from, to, 'act/365')).toBeCloseTo(31 / 365, 10);
+  expect(yearFraction(from, to, '30/360')).toBeCloseTo(30 / 360, 10);
+  expect(yearFraction(from, to, 'act/act')).toBeCloseTo(1 / 365 + 30 / 366, 10);
+});
+
+test('rejects malformed dates', () => {
+  expect(parseDate('')).toBeNull();
+  expect(parseDate('2024-13')).toBeNull();
+});
@@ -0,0 +1,6 @@
+export { simulateLoan, annuityPayment, annuityTenure, growthRate, periodicIrr, periodicRate, rateForPeriod, upfrontPrepayment, freqMap, compoundingMap, PERIOD_CAP } from './amortization';
+export { solveEmi, solveTenure, solveRate } from './solvers';
+export { addPeriods, dayCounts, formatISODate, monthsBetween, nextMonthISO, parseDate, yearFraction } from './dates';
+export { planDebtPayoff, payoffStrategies, PLANNER_MONTH_CAP } from './planner';
+export { comparePrepayVsInvest } from './invest';
+export { prepaymentBenefits } from './costs';
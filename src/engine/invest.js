@@ -0,0 +1,105 @@
+import { freqMap, simulateLoan } from './amortization';
+import { addPeriods, nextMonthISO, parseDate } from './dates';
+import { num } from './parse';
+
+const cap = value => value === '' || value == null ? Infinity : num(value);
+
+// Tax year a date falls in, named by the calendar year it starts in (April 2025 – March 2026 is 2025 when it starts in April).
+const taxYear = (date, startMonth) => date.getUTCFullYear() - (date.getUTCMonth() + 1 < startMonth ? 1 : 0);
+
+// Net worth along one path: the loan and its fees are paid per `rows`, whatever is left of the period's
+// budget is invested, and each tax year's deduction refund is invested when the year closes. Gains are
+// taxed on withdrawal, so every point is the after-tax value of the portfolio less the outstanding balance.
+function netWorthPath(rows, budgets, dueDates, growth, { returnTax, taxRate, interestCap, principalCap, taxYearStart }) {
+  let portfolio = 0;
+  let contributed = 0;
+  let taxSaved = 0;
+  let yearInterest = 0;
+  let yearPrincipal = 0;
+  let balance = rows.length ? rows[0].balance + rows[0].principal : 0;
+  const points = [];
+  budgets.forEach((budget, i) => {
+    const row = rows[i];
+    const outflow = row ? row.payment + row.extra + row.fees : 0;
+    portfolio = portfolio * (1 + growth) + budget - outflow;
+    contributed += budget - outflow;
+    if (row) {
+      balance = row.balance;
+      yearInterest += row.interest;
+      yearPrincipal += Math.max(0, row.principal);
+    }
+    const yearEnds = i === budgets.length - 1 || taxYear(dueDates[i + 1], taxYearStart) !== taxYear(dueDates[i], taxYearStart);
+    if (yearEnds && taxRate > 0) {
+      const refund = taxRate * (Math.min(yearInterest, interestCap) + Math.min(yearPrincipal, principalCap));
+      portfolio += refund;
+      contributed += refund;
+      taxSaved += refund;
+      yearInterest = 0;
+      yearPrincipal = 0;
+    }
+    const afterTax = portfolio - returnTax * Math.max(0, portfolio - contributed);
+    points.push({ portfolio: afterTax, balance, netWorth: afterTax - balance });
+  });
+  const last = points[points.length - 1] || { portfolio: 0, balance: 0, netWorth: 0 };
+  return { points, portfolio: last.portfolio, debt: last.balance, netWorth: last.netWorth, invested: contributed, taxSaved };
+}
+
+/**
+ * Compares prepaying per `loan.events` against paying only the EMIs and investing the difference.
+ *
+ * Both paths spend the same cash every period, the larger of the two loan outflows, over the horizon of
+ * the prepayment schedule; whichever pays less that period invests the rest at `expectedReturn` % a year.
+ * `returnTax` % is due on investment gains, `inflation` % deflates the final figures, and with a
+ * marginal `taxRate` % the interest and principal repaid each tax year (starting in month
+ * `taxYearStart`) earn a refund up to `interestCap` and `principalCap` ('' for no cap).
+ *
+ * @returns {{ horizonPeriods, years, prepay, invest, advantage, breakEvenReturn, series }}
+ */
+export function comparePrepayVsInvest(loan, { expectedReturn = 0, inflation = 0, returnTax = 0, taxRate = 0, interestCap = '', principalCap = '', taxYearStart = 1 } = {}) {
+  const freq = loan.freq || 'monthly';
+  const plan = simulateLoan(loan).rows;
+  const base = simulateLoan({ ...loan, events: [] }).rows;
+  const horizonPeriods = plan.length;
+  const years = horizonPeriods / freqMap[freq];
+  const firstDue = parseDate(loan.startDate) || parseDate(nextMonthISO());
+  const dueDates = Array.from({ length: horizonPeriods }, (_, i) => addPeriods(firstDue, i, freq));
+  const outflow = row => row ? row.payment + row.extra + row.fees : 0;
+  const budgets = dueDates.map((_, i) => Math.max(outflow(plan[i]), outflow(base[i])));
+  const tax = { returnTax: num(returnTax) / 100, taxRate: num(taxRate) / 100, interestCap: cap(interestCap), principalCap: cap(principalCap), taxYearStart: num(taxYearStart) || 1 };
+  const paths = annualReturn => {
+    const growth = Math.pow(1 + annualReturn / 100, 1 / freqMap[freq]) - 1;
+    return [netWorthPath(plan, budgets, dueDates, growth, tax), netWorthPath(base, budgets, dueDates, growth, tax)];
+  };
+  const [prepay, invest] = paths(num(expectedReturn));
+  const deflator = Math.pow(1 + num(inflation) / 100, years);
+  const summarize = ({ points, ...path }) => ({ ...path, realNetWorth: path.netWorth / deflator });
+
+  return {
+    horizonPeriods,
+    years,
+    prepay: summarize(prepay),
+    invest: summarize(invest),
+    advantage: invest.netWorth - prepay.netWorth,
+    breakEvenReturn: plan.some(r => r.extra > 0) ? breakEven(paths) : null,
+    series: dueDates.map((_, i) => ({ period: i + 1, prepay: +prepay.points[i].netWorth.toFixed(2), invest: +invest.points[i].netWorth.toFixed(2) })),
+  };
+}
+
+// Annual return (%) at which investing ends level with prepaying: 0 when investing wins even without
+// returns (deductions can do that), null when prepaying still wins at 100 %.
+function breakEven(paths, tolerance = 1e-6) {
+  const gap = rate => {
+    const [prepay, invest] = paths(rate);
+    return invest.netWorth - prepay.netWorth;
+  };
+  let low = 0;
+  let high = 100;
+  if (gap(low) >= 0) return 0;
+  if (gap(high) < 0) return null;
+  while (high - low > tolerance) {
+    const mid = (low + high) / 2;
+    if (gap(mid) < 0) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
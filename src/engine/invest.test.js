@@ -0,0 +1,47 @@
+import { comparePrepayVsInvest } from './invest';
+
+const loan = { remaining: 1000000, emi: 15000, annualRate: 12, startDate: '2025-01-15', events: [{ type: 'recurring', amount: 5000, freq: 'monthly', start: 1, end: '' }] };
+const effectiveLoanRate = (Math.pow(1.01, 12) - 1) * 100;
+
+test('investing at the loan rate ends level with prepaying', () => {
+  const result = comparePrepayVsInvest(loan, { expectedReturn: effectiveLoanRate });
+  expect(result.horizonPeriods).toBe(result.series.length);
+  expect(result.prepay.debt).toBe(0);
+  expect(result.invest.debt).toBeGreaterThan(0);
+  expect(Math.abs(result.advantage)).toBeLessThan(1);
+  expect(result.breakEvenReturn).toBeCloseTo(effectiveLoanRate, 4);
+});
+
+test('higher returns favour investing and lower ones prepaying', () => {
+  expect(comparePrepayVsInvest(loan, { expectedReturn: 18 }).advantage).toBeGreaterThan(0);
+  expect(comparePrepayVsInvest(loan, { expectedReturn: 6 }).advantage).toBeLessThan(0);
+});
+
+test('tax on returns raises the break-even return and inflation deflates net worth', () => {
+  const result = comparePrepayVsInvest(loan, { expectedReturn: 10, returnTax: 20, inflation: 5 });
+  expect(result.breakEvenReturn).toBeGreaterThan(effectiveLoanRate);
+  expect(result.prepay.realNetWorth).toBeCloseTo(result.prepay.netWorth / Math.pow(1.05, result.years), 2);
+});
+
+test('interest deductions favour investing and principal deductions favour prepaying', () => {
+  const interestOnly = comparePrepayVsInvest(loan, { expectedReturn: 10, taxRate: 30, interestCap: '', principalCap: 0 });
+  const principalOnly = comparePrepayVsInvest(loan, { expectedReturn: 10, taxRate: 30, interestCap: 0, principalCap: 150000 });
+  expect(interestOnly.invest.taxSaved).toBeGreaterThan(interestOnly.prepay.taxSaved);
+  expect(interestOnly.breakEvenReturn).toBeLessThan(effectiveLoanRate);
+  expect(principalOnly.prepay.taxSaved).toBeGreaterThan(principalOnly.invest.taxSaved);
+  expect(principalOnly.breakEvenReturn).toBeGreaterThan(effectiveLoanRate);
+});
+
+test('caps deductions per tax year', () => {
+  const calendar = comparePrepayVsInvest(loan, { taxRate: 30, interestCap: 100000, principalCap: 0 });
+  const years = Math.ceil(calendar.horizonPeriods / 12);
+  expect(calendar.prepay.taxSaved).toBeLessThanOrEqual(years * 30000 + 0.01);
+  const fiscal = comparePrepayVsInvest(loan, { taxRate: 30, interestCap: 100000, principalCap: 0, taxYearStart: 4 });
+  expect(fiscal.prepay.taxSaved).not.toBeCloseTo(calendar.prepay.taxSaved, 0);
+});
+
+test('has no break-even without prepayments', () => {
+  const result = comparePrepayVsInvest({ ...loan, events: [] }, { expectedReturn: 10 });
+  expect(result.advantage).toBe(0);
+  expect(result.breakEvenReturn).toBeNull();
+});
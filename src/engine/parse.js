@@ -0,0 +1,3 @@
+// Form fields reach the engine as numbers or strings, '' while being edited; both read as 0.
+export const num = value => parseFloat(value) || 0;
+export const int = value => parseInt(value, 10) || 0;
@@ -0,0 +1,98 @@
+import { freqMap, periodicRate } from './amortization';
+import { addPeriods, formatISODate, monthsBetween, nextMonthISO, parseDate } from './dates';
+import { num } from './parse';
+
+export const PLANNER_MONTH_CAP = 600;
+export const payoffStrategies = ['avalanche', 'snowball', 'custom', 'minimum'];
+
+// Order in which extra money is aimed at the loans. 'minimum' never pays extra, so its order is moot.
+function priorityOrder(loans, strategy, priority = []) {
+  const byId = id => loans.find(l => l.id === id);
+  if (strategy === 'avalanche') return [...loans].sort((a, b) => b.annualRate - a.annualRate || a.balance - b.balance);
+  if (strategy === 'snowball') return [...loans].sort((a, b) => a.balance - b.balance || b.annualRate - a.annualRate);
+  if (strategy === 'custom') return [...priority.map(byId).filter(Boolean), ...loans.filter(l => !priority.includes(l.id))];
+  return loans;
+}
+
+/**
+ * Simulates paying several loans side by side, month by month.
+ *
+ * Every loan keeps getting its own EMI (converted to a monthly amount). `budget` is extra money per
+ * month on top of those EMIs; together with the EMIs of loans already closed it goes to the first
+ * open loan in strategy order: 'avalanche' (highest rate first), 'snowball' (smallest balance first)
+ * or 'custom' (`priority` ids first). 'minimum' pays EMIs only and rolls nothing over.
+ *
+ * Month 1 is the month of `startDate`, the earliest next EMI among the loans. A loan whose own `startDate` (its next EMI) falls later joins
+ * in that month; until then it neither accrues nor takes extra payments, as its first installment's
+ * interest already covers the month before it.
+ *
+ * @returns {{ strategy, months, closed, totalInterest, loans: object[], series: object[] }}
+ */
+export function planDebtPayoff(inputs, { budget = 0, strategy = 'avalanche', priority = [], startDate, monthCap = PLANNER_MONTH_CAP } = {}) {
+  if (!payoffStrategies.includes(strategy)) throw new Error(`Unknown payoff strategy "${strategy}"`);
+  const firstDue = parseDate(startDate) || parseDate(nextMonthISO());
+  const loans = inputs.map(l => ({
+    id: l.id,
+    firstDue: parseDate(l.startDate) || firstDue,
+    firstMonth: 1 + Math.max(0, monthsBetween(firstDue, parseDate(l.startDate) || firstDue)),
+    name: l.name,
+    balance: Math.max(0, num(l.balance)),
+    annualRate: num(l.annualRate),
+    rate: periodicRate(num(l.annualRate), 'monthly', l.compounding),
+    emi: num(l.emi) * freqMap[l.freq || 'monthly'] / 12,
+    interest: 0,
+    payoffMonth: num(l.balance) > 0 ? null : 0,
+  }));
+  const order = priorityOrder(loans, strategy, priority);
+  const extraBudget = strategy === 'minimum' ? 0 : Math.max(0, num(budget));
+  const series = [{ month: 0, total: loans.reduce((sum, l) => sum + l.balance, 0), ...Object.fromEntries(loans.map(l => [l.id, l.balance])) }];
+  let month = 0;
+
+  while (loans.some(l => l.balance > 0) && month < monthCap) {
+    month++;
+    let available = extraBudget;
+    for (const l of loans) {
+      if (month < l.firstMonth) continue;
+      if (l.balance <= 0) {
+        if (strategy !== 'minimum') available += l.emi;
+        continue;
+      }
+      const interest = l.balance * l.rate;
+      const payment = Math.min(l.emi, l.balance + interest);
+      l.interest += interest;
+      l.balance += interest - payment;
+      if (strategy !== 'minimum') available += l.emi - payment;
+    }
+    for (const l of order) {
+      if (l.balance <= 0 || month < l.firstMonth || available <= 0) continue;
+      const paid = Math.min(available, l.balance);
+      l.balance -= paid;
+      available -= paid;
+    }
+    for (const l of loans) {
+      if (l.balance < 0.005) l.balance = 0;
+      if (l.balance === 0 && l.payoffMonth === null) l.payoffMonth = month;
+    }
+    series.push({ month, total: +loans.reduce((sum, l) => sum + l.balance, 0).toFixed(2), ...Object.fromEntries(loans.map(l => [l.id, +l.balance.toFixed(2)])) });
+  }
+
+  // Each loan closes on its own due day, counted from its own first installment.
+  const payoffDate = l => formatISODate(addPeriods(l.firstDue, l.payoffMonth - l.firstMonth, 'monthly'));
+  const closed = loans.every(l => l.balance === 0);
+  return {
+    strategy,
+    months: month,
+    closed,
+    payoffDate: closed && month > 0 ? loans.filter(l => l.payoffMonth).map(payoffDate).sort().pop() : null,
+    totalInterest: +loans.reduce((sum, l) => sum + l.interest, 0).toFixed(2),
+    loans: loans.map(l => ({
+      id: l.id,
+      name: l.name,
+      interest: +l.interest.toFixed(2),
+      payoffMonth: l.payoffMonth,
+      payoffDate: l.payoffMonth ? payoffDate(l) : null,
+      remainingBalance: +l.balance.toFixed(2),
+    })),
+    series,
+  };
+}
@@ -0,0 +1,74 @@
+import { planDebtPayoff, PLANNER_MONTH_CAP } from './planner';
+import { simulateLoan } from './amortization';
+
+const home = { id: 'home', name: 'Home', balance: 500000, emi: 10000, annualRate: 9 };
+const car = { id: 'car', name: 'Car', balance: 100000, emi: 5000, annualRate: 11 };
+const study = { id: 'study', name: 'Education', balance: 50000, emi: 2000, annualRate: 7 };
+const loans = [home, car, study];
+const startDate = '2025-01-15';
+
+test('a single loan on EMIs alone matches its own schedule', () => {
+  const plan = planDebtPayoff([home], { strategy: 'minimum', startDate });
+  const { summary } = simulateLoan({ remaining: home.balance, emi: home.emi, annualRate: home.annualRate, startDate });
+  expect(plan.months).toBe(summary.payoffPeriods);
+  expect(plan.totalInterest).toBeCloseTo(summary.totalInterest, 1);
+  expect(plan.loans[0].payoffDate).toBe(summary.payoffDate);
+});
+
+test('avalanche targets the highest rate and snowball the smallest balance', () => {
+  const avalanche = planDebtPayoff(loans, { budget: 20000, strategy: 'avalanche', startDate });
+  const snowball = planDebtPayoff(loans, { budget: 20000, strategy: 'snowball', startDate });
+  const first = plan => [...plan.loans].sort((a, b) => a.payoffMonth - b.payoffMonth)[0].id;
+  expect(first(avalanche)).toBe('car');
+  expect(first(snowball)).toBe('study');
+  expect(avalanche.totalInterest).toBeLessThan(snowball.totalInterest);
+  expect(avalanche.series[0].total).toBe(650000);
+  expect(avalanche.series[avalanche.series.length - 1].total).toBe(0);
+});
+
+test('rolls the EMI of a closed loan into the next one', () => {
+  const minimum = planDebtPayoff(loans, { strategy: 'minimum', startDate });
+  const rollover = planDebtPayoff(loans, { budget: 0, strategy: 'avalanche', startDate });
+  const home = plan => plan.loans.find(l => l.id === 'home');
+  expect(rollover.loans.find(l => l.id === 'car').payoffMonth).toBe(minimum.loans.find(l => l.id === 'car').payoffMonth);
+  expect(home(rollover).payoffMonth).toBeLessThan(home(minimum).payoffMonth);
+  expect(rollover.totalInterest).toBeLessThan(minimum.totalInterest);
+});
+
+test('follows a custom priority and ignores unknown ids', () => {
+  const plan = planDebtPayoff(loans, { budget: 20000, strategy: 'custom', priority: ['ghost', 'home'], startDate });
+  const homeMonth = plan.loans.find(l => l.id === 'home').payoffMonth;
+  const minimum = planDebtPayoff(loans, { strategy: 'minimum', startDate });
+  expect(plan.series[1].home).toBeCloseTo(minimum.series[1].home - 20000, 1);
+  expect(homeMonth).toBeLessThan(minimum.loans.find(l => l.id === 'home').payoffMonth);
+});
+
+test('converts other EMI frequencies to a monthly amount', () => {
+  const weekly = planDebtPayoff([{ ...car, emi: 1200, freq: 'weekly' }], { strategy: 'minimum', startDate });
+  const monthly = planDebtPayoff([{ ...car, emi: 5200 }], { strategy: 'minimum', startDate });
+  expect(weekly.months).toBe(monthly.months);
+  expect(weekly.totalInterest).toBeCloseTo(monthly.totalInterest, 2);
+});
+
+test('starts each loan on its own next EMI date', () => {
+  const later = { ...car, startDate: '2025-07-20' };
+  const plan = planDebtPayoff([home, later], { strategy: 'minimum', startDate });
+  const { summary } = simulateLoan({ remaining: car.balance, emi: car.emi, annualRate: car.annualRate, startDate: later.startDate });
+  const own = plan.loans.find(l => l.id === 'car');
+  expect(own.payoffMonth).toBe(summary.payoffPeriods + 6);
+  expect(own.payoffDate).toBe(summary.payoffDate);
+  expect(own.interest).toBeCloseTo(summary.totalInterest, 1);
+  expect(plan.series[6].car).toBe(car.balance);
+  expect(plan.payoffDate).toBe(plan.loans.find(l => l.id === 'home').payoffDate);
+});
+
+test('stops at the month cap when a loan never closes', () => {
+  const plan = planDebtPayoff([{ ...home, emi: 1000 }], { strategy: 'minimum', startDate });
+  expect(plan.months).toBe(PLANNER_MONTH_CAP);
+  expect(plan).toMatchObject({ closed: false });
+  expect(plan.loans[0]).toMatchObject({ payoffMonth: null, payoffDate: null });
+});
+
+test('rejects unknown strategies', () => {
+  expect(() => planDebtPayoff(loans, { strategy: 'random' })).toThrow('Unknown payoff strategy "random"');
+});
@@ -0,0 +1,34 @@
+import { annuityPayment, annuityTenure, periodicRate } from './amortization';
+
+// The solvers work on installments per `freq` period, the same unit the schedule rows report.
+
+export function solveEmi({ principal, annualRate, periods, freq = 'monthly', compounding = 'per-payment' }) {
+  return annuityPayment(principal, periodicRate(annualRate, freq, compounding), periods);
+}
+
+// Whole periods needed to repay `principal`; Infinity when `emi` never covers the interest.
+export function solveTenure({ principal, annualRate, emi, freq = 'monthly', compounding = 'per-payment' }) {
+  return annuityTenure(principal, periodicRate(annualRate, freq, compounding), emi);
+}
+
+/**
+ * Annual rate (%) at which `periods` installments of `emi` repay `principal`.
+ * Returns null when no non-negative rate does, i.e. the installments do not even add up to the principal.
+ */
+export function solveRate({ principal, emi, periods, freq = 'monthly', compounding = 'per-payment', tolerance = 1e-9 }) {
+  if (principal <= 0 || periods <= 0 || emi * periods < principal) return null;
+  if (emi * periods === principal) return 0;
+  const payment = rate => solveEmi({ principal, annualRate: rate, periods, freq, compounding });
+  let low = 0;
+  let high = 100;
+  while (payment(high) < emi) {
+    high *= 2;
+    if (high > 1e6) return null;
+  }
+  while (high - low > tolerance) {
+    const mid = (low + high) / 2;
+    if (payment(mid) < emi) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
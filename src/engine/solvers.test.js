@@ -0,0 +1,21 @@
+import { solveEmi, solveRate, solveTenure } from './solvers';
+
+test('solveEmi matches the annuity formula', () => {
+  expect(solveEmi({ principal: 1000000, annualRate: 12, periods: 12 })).toBeCloseTo(88848.79, 2);
+  expect(solveEmi({ principal: 120000, annualRate: 0, periods: 12 })).toBe(10000);
+  expect(solveEmi({ principal: 120000, annualRate: 12, periods: 0 })).toBe(0);
+});
+
+test('solveTenure inverts solveEmi', () => {
+  const emi = solveEmi({ principal: 3000000, annualRate: 8.5, periods: 240 });
+  expect(solveTenure({ principal: 3000000, annualRate: 8.5, emi })).toBe(240);
+  expect(solveTenure({ principal: 3000000, annualRate: 8.5, emi: 1000 })).toBe(Infinity);
+  expect(solveTenure({ principal: 120000, annualRate: 0, emi: 10000 })).toBe(12);
+});
+
+test('solveRate inverts solveEmi', () => {
+  const emi = solveEmi({ principal: 500000, annualRate: 9.75, periods: 60 });
+  expect(solveRate({ principal: 500000, emi, periods: 60 })).toBeCloseTo(9.75, 6);
+  expect(solveRate({ principal: 120000, emi: 10000, periods: 12 })).toBeCloseTo(0, 6);
+  expect(solveRate({ principal: 120000, emi: 5000, periods: 12 })).toBeNull();
+});
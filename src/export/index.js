@@ -0,0 +1,18 @@
+import { toCSV } from './report';
+import { toXLSX } from './xlsx';
+import { toPDF } from './pdf';
+
+export { buildReport, scheduleColumns, toCSV } from './report';
+
+export const exportFormats = { csv: 'CSV', xlsx: 'Excel (XLSX)', pdf: 'PDF report' };
+
+// Renders a report as a Blob; `options` carry the currency's locale and decimals for the PDF. The XLSX
+// and PDF writers load their libraries on demand, so those only ship to people who export.
+export async function writeReport(report, format, options) {
+  if (format === 'csv') return new Blob(['\uFEFF', toCSV(report)], { type: 'text/csv;charset=utf-8' });
+  if (format === 'xlsx') return toXLSX(report);
+  if (format === 'pdf') return toPDF(report, options);
+  throw new Error(`Unknown export format "${format}"`);
+}
+
+export const reportFileName = (report, format) => `loan-report-${report.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'schedule'}.${format}`;
@@ -0,0 +1,124 @@
+import { parseDate } from '../engine';
+import { compactAmount } from '../common/format';
+
+const margin = 40;
+const indigo = [79, 70, 229];
+
+// The built-in PDF fonts only cover Latin-1. Amounts are written as ISO codes with Latin digits and
+// the bidi marks and narrow spaces some locales add are dropped. In free text such as loan, scenario
+// and fee names, known currency signs and punctuation become Latin-1 stand-ins, accented letters lose
+// their accents, and whatever is left (e.g. Devanagari) shows as '?'.
+const standIns = { '₹': 'INR', '€': 'EUR', '₩': 'KRW', '₫': 'VND', '₱': 'PHP', '₦': 'NGN', '₺': 'TRY', '₽': 'RUB', '₪': 'ILS', '฿': 'THB', '₴': 'UAH', '–': '-', '—': '-', '‘': "'", '’': "'", '“': '"', '”': '"', '…': '...' };
+const latin1 = text => String(text)
+  .replace(/[\u00A0\u2009\u202F]/g, ' ')
+  .replace(/[\u200E\u200F\u061C]/g, '')
+  .replace(/[\u0100-\uFFFF]+/g, run => [...run].map(c => standIns[c] ?? c.normalize('NFKD').replace(/[\u0300-\u036F]/g, '')).join('').replace(/[\u0100-\uFFFF]+/g, '?'));
+
+function formatters({ locale, fractionDigits, currency }) {
+  const digits = { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits, numberingSystem: 'latn' };
+  const amount = new Intl.NumberFormat(locale, digits);
+  const money = new Intl.NumberFormat(locale, { ...digits, style: 'currency', currency, currencyDisplay: 'code' });
+  const date = value => parseDate(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+  return {
+    cell: (value, kind) => latin1(kind === 'money' ? amount.format(value) : kind === 'date' ? date(value) : kind === 'percent' ? `${value}%` : value),
+    entry: ({ value, kind }) => latin1(kind === 'money' ? money.format(value) : kind === 'date' ? date(value) : kind === 'percent' ? `${value}%` : value),
+  };
+}
+
+// Balance over time, drawn straight from the schedule so the PDF does not depend on the page's SVG.
+function drawChart(doc, chart, { x, y, width, height, unit }) {
+  const periods = Math.max(1, ...chart.map(s => s.balances.length - 1));
+  const top = Math.max(1, ...chart.flatMap(s => s.balances));
+  const px = period => x + (period / periods) * width;
+  const py = balance => y + height - (balance / top) * height;
+
+  doc.setFontSize(8);
+  doc.setTextColor(100);
+  doc.setDrawColor(220);
+  doc.setLineWidth(0.5);
+  for (let i = 0; i <= 4; i++) {
+    const value = (top * i) / 4;
+    doc.line(x, py(value), x + width, py(value));
+    doc.text(compactAmount(value), x - 4, py(value) + 3, { align: 'right' });
+  }
+  const step = Math.max(1, Math.ceil(periods / 10));
+  for (let period = 0; period <= periods; period += step) doc.text(String(period), px(period), y + height + 12, { align: 'center' });
+  doc.text(`Period (${unit})`, x + width / 2, y + height + 24, { align: 'center' });
+
+  chart.forEach((series, i) => {
+    doc.setDrawColor(series.color);
+    doc.setLineWidth(series.dashed ? 1 : 1.5);
+    doc.setLineDashPattern(series.dashed ? [4, 3] : [], 0);
+    for (let period = 1; period < series.balances.length; period++) doc.line(px(period - 1), py(series.balances[period - 1]), px(period), py(series.balances[period]));
+    doc.setLineDashPattern([], 0);
+    doc.line(x + width - 150, y - 14 + i * 12, x + width - 135, y - 14 + i * 12);
+    doc.setTextColor(60);
+    doc.text(latin1(series.name), x + width - 130, y - 11 + i * 12);
+  });
+}
+
+export async function toPDF(report, { locale, fractionDigits, generatedOn = new Date() }) {
+  const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4', compress: true });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const { cell, entry } = formatters({ locale, fractionDigits, currency: report.currency });
+  const half = (pageWidth - margin * 3) / 2;
+
+  doc.setFontSize(18);
+  doc.text('Loan Report', margin, margin + 10);
+  doc.setFontSize(11);
+  doc.setTextColor(90);
+  doc.text(latin1(report.title), margin, margin + 28);
+  doc.text(`Generated on ${generatedOn.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}`, pageWidth - margin, margin + 28, { align: 'right' });
+
+  const keyValue = (title, entries, left) => autoTable(doc, {
+    startY: margin + 44,
+    margin: { left, right: pageWidth - left - half },
+    head: [[title, '']],
+    body: entries.map(e => [latin1(e.label), entry(e)]),
+    theme: 'striped',
+    headStyles: { fillColor: indigo },
+    styles: { fontSize: 9 },
+    columnStyles: { 0: { cellWidth: half * 0.45 } },
+  });
+  // The summary is short; a long prepayment plan may carry the parameters over to the next page.
+  keyValue('Summary', report.summary, margin);
+  const afterSummary = doc.lastAutoTable.finalY;
+  keyValue('Loan parameters', report.parameters, margin * 2 + half);
+  const afterTables = doc.getNumberOfPages() > 1 ? doc.lastAutoTable.finalY : Math.max(afterSummary, doc.lastAutoTable.finalY);
+
+  const chartHeight = 200;
+  let chartTop = afterTables + 50;
+  if (chartTop + chartHeight + 40 > doc.internal.pageSize.getHeight()) {
+    doc.addPage();
+    chartTop = margin + 40;
+  }
+  doc.setFontSize(12);
+  doc.setTextColor(0);
+  doc.text(`Outstanding balance (${report.currency})`, margin, chartTop - 20);
+  drawChart(doc, report.chart, { x: margin + 40, y: chartTop, width: pageWidth - margin * 2 - 40, height: chartHeight, unit: report.emiFreq });
+
+  doc.addPage();
+  doc.setFontSize(12);
+  doc.setTextColor(0);
+  doc.text('Amortization schedule', margin, margin);
+  autoTable(doc, {
+    startY: margin + 10,
+    margin: { left: margin, right: margin },
+    head: [report.columns.map(c => c.kind === 'money' ? `${c.label} (${report.currency})` : c.label)],
+    body: report.rows.map(r => report.columns.map(c => cell(r[c.key], c.kind))),
+    theme: 'grid',
+    headStyles: { fillColor: indigo },
+    styles: { fontSize: 7, halign: 'right' },
+    columnStyles: { 1: { halign: 'left' } },
+  });
+
+  const pages = doc.getNumberOfPages();
+  doc.setFontSize(8);
+  doc.setTextColor(120);
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    doc.text(`Page ${page} of ${pages}`, pageWidth - margin, doc.internal.pageSize.getHeight() - 20, { align: 'right' });
+  }
+  return doc.output('blob');
+}
@@ -0,0 +1,102 @@
+import { dayCounts, freqMap } from '../engine';
+import { describeEvent, describeFee, feeLabels } from '../common/describe';
+
+// Every export renders the same report; values stay raw and carry a kind so each format can present
+// them its own way (plain numbers in CSV, number formats in XLSX, currency text in the PDF).
+export const scheduleColumns = [
+  { key: 'period', label: 'Period', kind: 'int' },
+  { key: 'date', label: 'Due Date', kind: 'date' },
+  { key: 'rate', label: 'Rate (%)', kind: 'percent' },
+  { key: 'emi', label: 'EMI', kind: 'money' },
+  { key: 'payment', label: 'Payment', kind: 'money' },
+  { key: 'principal', label: 'Principal', kind: 'money' },
+  { key: 'interest', label: 'Interest', kind: 'money' },
+  { key: 'extra', label: 'Extra Prepayment', kind: 'money' },
+  { key: 'fees', label: 'Fees & Charges', kind: 'money' },
+  { key: 'totalPaid', label: 'Total Paid', kind: 'money' },
+  { key: 'cumInterest', label: 'Cumulative Interest', kind: 'money' },
+  { key: 'balance', label: 'Balance', kind: 'money' },
+];
+
+const compoundingLabel = value => value === 'per-payment' ? 'with each EMI' : value;
+
+const describeFees = (fees = {}, money) => Object.keys(feeLabels)
+  .flatMap(kind => (fees[kind] || []).map(f => [f.name || feeLabels[kind], describeFee(kind, f, { money })]));
+
+/**
+ * Collects what an export needs for the active scenario: its inputs, a summary against the baseline,
+ * the full schedule and the balance series for the chart, starting from the remaining principal.
+ * `money` formats amounts inside descriptive text such as the prepayment plan.
+ */
+export function buildReport({ loanName, loan, scenario, result, baseline, money }) {
+  const { summary, rows } = result;
+  const rateChanges = [...(scenario.rateChanges || [])].filter(c => c.period !== '').sort((a, b) => a.period - b.period);
+  const text = (label, value) => ({ label, value, kind: 'text' });
+  const parameters = [
+    loanName && text('Loan', loanName),
+    text('Scenario', scenario.name),
+    text('Currency', loan.currency),
+    { label: 'Original loan amount', value: +loan.original || 0, kind: 'money' },
+    { label: 'Remaining principal', value: +loan.remaining || 0, kind: 'money' },
+    { label: 'EMI', value: +scenario.emi || 0, kind: 'money' },
+    text('EMI frequency', loan.emiFreq),
+    { label: 'Interest rate (% p.a.)', value: +scenario.annualRate || 0, kind: 'percent' },
+    text('Rate changes', rateChanges.length ? rateChanges.map(c => `${c.rate}% from period ${c.period}`).join('; ') : 'None'),
+    rateChanges.length > 0 && text('On a rate change', scenario.resetPolicy === 'reset-emi' ? 'Reset EMI (tenure fixed)' : 'Keep EMI (tenure changes)'),
+    text('Interest compounding', compoundingLabel(loan.compounding)),
+    text('Interest day count', dayCounts[loan.dayCount] || loan.dayCount),
+    { label: 'Next EMI date', value: loan.startDate, kind: 'date' },
+    scenario.events.length > 0 && text('Prepayments', scenario.prepayMode === 'emi' ? 'Reduce EMI' : 'Reduce tenure'),
+    ...scenario.events.map((ev, i) => text(`Prepayment ${i + 1}`, describeEvent(ev, { money }))),
+    ...describeFees(loan.fees, money).map(([label, value]) => text(label, value)),
+  ].filter(Boolean);
+
+  const isBaseline = !baseline || baseline.scenario.id === scenario.id;
+  const summaryRows = [
+    { label: 'Installments', value: summary.payoffPeriods, kind: 'int' },
+    { label: 'Payoff time (years)', value: +(summary.payoffPeriods / freqMap[loan.emiFreq]).toFixed(1), kind: 'number' },
+    { label: 'Loan closes on', value: summary.payoffDate, kind: 'date' },
+    { label: 'Total interest', value: summary.totalInterest, kind: 'money' },
+    { label: 'Total prepaid', value: summary.totalExtra, kind: 'money' },
+    { label: 'Total paid', value: summary.totalPaid, kind: 'money' },
+    summary.totalFees > 0 && { label: 'Fees & charges', value: summary.totalFees, kind: 'money' },
+    summary.totalFees > 0 && { label: 'True cost (interest + fees)', value: summary.totalCost, kind: 'money' },
+    summary.apr !== null && { label: 'Effective APR (%)', value: +summary.apr.toFixed(2), kind: 'percent' },
+    !summary.closed && { label: 'Balance left unpaid', value: summary.remainingBalance, kind: 'money' },
+    !isBaseline && { label: `Interest saved vs. ${baseline.scenario.name}`, value: +(baseline.summary.totalInterest - summary.totalInterest).toFixed(2), kind: 'money' },
+    !isBaseline && summary.totalFees + baseline.summary.totalFees > 0 && { label: `Net saved after fees vs. ${baseline.scenario.name}`, value: +(baseline.summary.totalCost - summary.totalCost).toFixed(2), kind: 'money' },
+    !isBaseline && { label: `Installments saved vs. ${baseline.scenario.name}`, value: baseline.summary.payoffPeriods - summary.payoffPeriods, kind: 'int' },
+  ].filter(Boolean);
+
+  return {
+    title: [loanName, scenario.name].filter(Boolean).join(' · '),
+    currency: loan.currency,
+    emiFreq: loan.emiFreq,
+    parameters,
+    summary: summaryRows,
+    columns: scheduleColumns,
+    rows: rows.map(r => ({ ...r, totalPaid: +(r.payment + r.extra + r.fees).toFixed(2) })),
+    chart: [
+      { name: scenario.name, color: '#4f46e5', balances: [+loan.remaining || 0, ...rows.map(r => r.balance)] },
+      ...(isBaseline ? [] : [{ name: baseline.scenario.name, color: '#6b7280', balances: [+loan.remaining || 0, ...baseline.rows.map(r => r.balance)], dashed: true }]),
+    ],
+  };
+}
+
+const csvCell = value => {
+  const s = value == null ? '' : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const csvValue = ({ value, kind }) => kind === 'money' ? value.toFixed(2) : value;
+
+// The schedule comes first so tools reading up to the first blank line get a clean table; the inputs
+// and summary follow underneath.
+export function toCSV(report) {
+  const header = report.columns.map(c => c.kind === 'money' ? `${c.label} (${report.currency})` : c.label);
+  const schedule = report.rows.map(r => report.columns.map(c => csvValue({ value: r[c.key], kind: c.kind })));
+  const section = (title, entries) => [[title], ...entries.map(e => [e.kind === 'money' ? `${e.label} (${report.currency})` : e.label, csvValue(e)])];
+  return [header, ...schedule, [], ...section('Inputs', report.parameters), [], ...section('Summary', report.summary)]
+    .map(line => line.map(csvCell).join(','))
+    .join('\n');
+}
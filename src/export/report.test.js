@@ -0,0 +1,90 @@
+import { simulateLoan } from '../engine';
+import { buildReport, reportFileName, scheduleColumns, toCSV, writeReport } from '.';
+
+// Records every string the PDF writes, on top of the real renderer.
+const mockWritten = [];
+jest.mock('jspdf', () => {
+  const actual = jest.requireActual('jspdf');
+  class jsPDF extends actual.jsPDF {
+    constructor(...args) {
+      super(...args);
+      const text = this.text;
+      this.text = (value, ...rest) => {
+        mockWritten.push(...[].concat(value));
+        return text.call(this, value, ...rest);
+      };
+    }
+  }
+  return { ...actual, jsPDF };
+});
+
+const loan = { original: 3200000, remaining: 2945000, emiFreq: 'monthly', compounding: 'per-payment', startDate: '2025-01-05', dayCount: 'periodic', currency: 'INR' };
+const baseline = { id: 'baseline', name: 'No prepayment', emi: 33600, annualRate: 8.2, events: [] };
+const plan = {
+  id: 'plan-1',
+  name: 'Bonus, "yearly"',
+  emi: 33600,
+  annualRate: 8.2,
+  events: [{ type: 'recurring', amount: 200000, freq: 'yearly', start: 3, end: '', stepUp: 0 }],
+  rateChanges: [{ period: 13, rate: 8.5 }],
+};
+const run = scenario => ({ scenario, ...simulateLoan({ ...scenario, remaining: loan.remaining, startDate: loan.startDate }) });
+const report = buildReport({ loanName: 'Home loan', loan, scenario: plan, result: run(plan), baseline: run(baseline), money: v => `INR ${v}` });
+
+test('collects inputs, a summary against the baseline and the full schedule', () => {
+  const value = (entries, label) => entries.find(e => e.label === label).value;
+  expect(report.title).toBe('Home loan · Bonus, "yearly"');
+  expect(value(report.parameters, 'Rate changes')).toBe('8.5% from period 13');
+  expect(value(report.parameters, 'Prepayment 1')).toBe('INR 200000 every yearly from period 3 until payoff');
+  expect(value(report.summary, 'Interest saved vs. No prepayment')).toBeGreaterThan(0);
+  expect(report.rows).toHaveLength(value(report.summary, 'Installments'));
+  expect(report.rows[2]).toMatchObject({ extra: 200000, totalPaid: 233600 });
+  expect(report.chart.map(s => s.balances[0])).toEqual([2945000, 2945000]);
+});
+
+test('leaves the baseline comparison out for the baseline itself', () => {
+  const own = buildReport({ loan, scenario: baseline, result: run(baseline), baseline: run(baseline), money: String });
+  expect(own.summary.some(e => /saved/.test(e.label))).toBe(false);
+  expect(own.chart).toHaveLength(1);
+  expect(reportFileName(own, 'pdf')).toBe('loan-report-no-prepayment.pdf');
+});
+
+test('writes the schedule first, then the inputs and summary, as CSV', () => {
+  const lines = toCSV(report).split('\n');
+  expect(lines[0].split(',')).toHaveLength(scheduleColumns.length);
+  expect(lines[0]).toContain('Extra Prepayment (INR)');
+  expect(lines[3]).toBe('3,2025-03-05,8.2,33600.00,33600.00,213660.63,19939.37,200000.00,0.00,233600.00,60095.62,2704295.62');
+  expect(lines).toContain('Scenario,"Bonus, ""yearly"""');
+  expect(lines).toContain('Original loan amount (INR),3200000.00');
+});
+
+test('reports fees, the true cost and the effective APR', () => {
+  const fees = { upfront: [{ name: 'Processing fee', type: 'percent', value: 0.5 }], recurring: [], prepayment: [{ type: 'percent', value: 2, from: 1, until: 36 }] };
+  const charged = scenario => ({ scenario, ...simulateLoan({ ...scenario, remaining: loan.remaining, original: loan.original, startDate: loan.startDate, fees }) });
+  const withFees = buildReport({ loan: { ...loan, fees }, scenario: plan, result: charged(plan), baseline: charged(baseline), money: v => `INR ${v}` });
+  const value = label => withFees.summary.find(e => e.label === label).value;
+  expect(withFees.parameters).toContainEqual({ label: 'Processing fee', value: '0.5% of the original loan amount, paid upfront', kind: 'text' });
+  expect(withFees.parameters).toContainEqual({ label: 'Prepayment charge', value: '2% of each prepayment made from period 1 to period 36', kind: 'text' });
+  expect(withFees.rows[2]).toMatchObject({ fees: 4000, totalPaid: 237600 });
+  expect(value('True cost (interest + fees)')).toBeCloseTo(value('Total interest') + value('Fees & charges'), 2);
+  expect(value('Effective APR (%)')).toBeGreaterThan(8.2);
+  expect(value('Net saved after fees vs. No prepayment')).toBeLessThan(value('Interest saved vs. No prepayment'));
+});
+
+test('renders PDF and XLSX files', async () => {
+  const pdf = await writeReport(report, 'pdf', { locale: 'en-IN', fractionDigits: 2 });
+  const xlsx = await writeReport(report, 'xlsx');
+  expect(pdf.type).toBe('application/pdf');
+  expect(pdf.size).toBeGreaterThan(1000);
+  expect(xlsx.type).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  await expect(writeReport(report, 'docx')).rejects.toThrow('Unknown export format "docx"');
+});
+
+test('writes names outside Latin-1 to the PDF with visible stand-ins', async () => {
+  mockWritten.length = 0;
+  const named = { ...plan, name: 'Bonus every March ₹' };
+  const own = buildReport({ loanName: 'गृह ऋण', loan, scenario: named, result: run(named), baseline: run(baseline), money: String });
+  await writeReport(own, 'pdf', { locale: 'en-IN', fractionDigits: 2 });
+  expect(mockWritten).toContain('? ? · Bonus every March INR');
+  expect(mockWritten.filter(t => /[\u0100-\uFFFF]/.test(t))).toEqual([]);
+});
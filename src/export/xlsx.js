@@ -0,0 +1,34 @@
+import { parseDate } from '../engine';
+
+const formats = { money: '#,##0.00', percent: '0.00', number: '0.0', int: '0', date: 'd mmm yyyy' };
+const bold = value => ({ value, fontWeight: 'bold' });
+
+function cell(value, kind) {
+  if (value === '' || value == null) return null;
+  if (kind === 'date') return { value: parseDate(value), type: Date, format: formats.date };
+  if (kind in formats) return { value, type: Number, format: formats[kind] };
+  return { value: String(value), type: String };
+}
+
+const label = (entry, currency) => entry.kind === 'money' ? `${entry.label} (${currency})` : entry.label;
+
+export async function toXLSX(report) {
+  const { default: writeExcelFile } = await import('write-excel-file/browser');
+  const schedule = [
+    report.columns.map(c => bold(label(c, report.currency))),
+    ...report.rows.map(r => report.columns.map(c => cell(r[c.key], c.kind))),
+  ];
+  const overview = [
+    [bold(report.title)],
+    [],
+    [bold('Inputs')],
+    ...report.parameters.map(p => [label(p, report.currency), cell(p.value, p.kind)]),
+    [],
+    [bold('Summary')],
+    ...report.summary.map(s => [label(s, report.currency), cell(s.value, s.kind)]),
+  ];
+  return writeExcelFile([
+    { data: schedule, sheet: 'Schedule', columns: report.columns.map(c => ({ width: c.kind === 'money' ? 16 : 12 })), stickyRowsCount: 1 },
+    { data: overview, sheet: 'Inputs & Summary', columns: [{ width: 36 }, { width: 60 }] },
+  ]).toBlob();
+}
@@ -3,3 +3,10 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom implements neither; the app reads the colour-scheme preference and recharts sizes its charts with them.
+window.matchMedia = window.matchMedia || (() => ({ matches: false, addEventListener() {}, removeEventListener() {} }));
+window.ResizeObserver = window.ResizeObserver || class { observe() {} unobserve() {} disconnect() {} };
+
+// jsPDF encodes text with TextEncoder, which this jsdom does not expose.
+if (!global.TextEncoder) Object.assign(global, { TextEncoder: require('util').TextEncoder, TextDecoder: require('util').TextDecoder });